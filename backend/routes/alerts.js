@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { getSetting } = require('../services/alerts');
+
+// Get all threshold profiles and the default used for sensors not in a bed
+router.get('/profiles', (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT key, value FROM alert_settings
+      WHERE key LIKE 'profile\\_%' ESCAPE '\\'
+      ORDER BY key
+    `).all();
+
+    const profiles = Object.fromEntries(
+      rows.map(row => [row.key.replace(/^profile_/, ''), JSON.parse(row.value)])
+    );
+
+    res.json({
+      default_profile: getSetting('default_profile') || 'warm_season',
+      profiles
+    });
+  } catch (error) {
+    console.error('Error fetching alert profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch alert profiles' });
+  }
+});
+
+module.exports = router;
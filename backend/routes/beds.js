@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
+const { publish } = require('../services/events');
 
 // Get all beds with current moisture readings
 router.get('/', (req, res) => {
@@ -8,10 +9,10 @@ router.get('/', (req, res) => {
     const beds = db.prepare(`
       SELECT b.*,
         (SELECT moisture_percent FROM sensor_readings
-         WHERE sensor_id = b.sensor_id
+         WHERE sensor_id = b.sensor_id AND rejected = 0
          ORDER BY timestamp DESC LIMIT 1) as current_moisture,
         (SELECT timestamp FROM sensor_readings
-         WHERE sensor_id = b.sensor_id
+         WHERE sensor_id = b.sensor_id AND rejected = 0
          ORDER BY timestamp DESC LIMIT 1) as moisture_updated_at
       FROM beds b
       ORDER BY b.name
@@ -45,10 +46,10 @@ router.get('/:id', (req, res) => {
     const bed = db.prepare(`
       SELECT b.*,
         (SELECT moisture_percent FROM sensor_readings
-         WHERE sensor_id = b.sensor_id
+         WHERE sensor_id = b.sensor_id AND rejected = 0
          ORDER BY timestamp DESC LIMIT 1) as current_moisture,
         (SELECT timestamp FROM sensor_readings
-         WHERE sensor_id = b.sensor_id
+         WHERE sensor_id = b.sensor_id AND rejected = 0
          ORDER BY timestamp DESC LIMIT 1) as moisture_updated_at
       FROM beds b
       WHERE b.id = ?
@@ -133,18 +134,19 @@ router.get('/:id', (req, res) => {
 // Create a new bed
 router.post('/', (req, res) => {
   try {
-    const { name, rows, cols, sensor_id, notes } = req.body;
+    const { name, rows, cols, sensor_id, temp_sensor_id, profile, notes } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Bed name is required' });
     }
 
     const result = db.prepare(`
-      INSERT INTO beds (name, rows, cols, sensor_id, notes)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(name, rows || 4, cols || 8, sensor_id, notes);
+      INSERT INTO beds (name, rows, cols, sensor_id, temp_sensor_id, profile, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(name, rows || 4, cols || 8, sensor_id, temp_sensor_id, profile || 'warm_season', notes);
 
     const bed = db.prepare('SELECT * FROM beds WHERE id = ?').get(result.lastInsertRowid);
+    publish('bed', { action: 'created', bed });
     res.status(201).json(bed);
   } catch (error) {
     console.error('Error creating bed:', error);
@@ -156,7 +158,7 @@ router.post('/', (req, res) => {
 router.put('/:id', (req, res) => {
   try {
     const { id } = req.params;
-    const { name, rows, cols, sensor_id, notes } = req.body;
+    const { name, rows, cols, sensor_id, temp_sensor_id, profile, notes } = req.body;
 
     const existing = db.prepare('SELECT * FROM beds WHERE id = ?').get(id);
     if (!existing) {
@@ -169,11 +171,14 @@ router.put('/:id', (req, res) => {
         rows = COALESCE(?, rows),
         cols = COALESCE(?, cols),
         sensor_id = ?,
+        temp_sensor_id = ?,
+        profile = COALESCE(?, profile),
         notes = ?
       WHERE id = ?
-    `).run(name, rows, cols, sensor_id, notes, id);
+    `).run(name, rows, cols, sensor_id, temp_sensor_id, profile, notes, id);
 
     const bed = db.prepare('SELECT * FROM beds WHERE id = ?').get(id);
+    publish('bed', { action: 'updated', bed });
     res.json(bed);
   } catch (error) {
     console.error('Error updating bed:', error);
@@ -192,6 +197,7 @@ router.delete('/:id', (req, res) => {
     }
 
     db.prepare('DELETE FROM beds WHERE id = ?').run(id);
+    publish('bed', { action: 'deleted', bed: existing });
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting bed:', error);
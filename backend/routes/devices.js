@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { getDevice, createDevice } = require('../services/devices');
+
+// Get all devices allowed to use the JSON ingest API (tokens are never returned)
+router.get('/', (req, res) => {
+  try {
+    const devices = db.prepare(`
+      SELECT d.id, d.name, d.token_hint, d.last_ip, d.last_used_at, d.created_at,
+        (SELECT COUNT(*) FROM sensors WHERE device_id = d.id) as sensor_count
+      FROM devices d
+      ORDER BY d.name
+    `).all();
+
+    res.json(devices);
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({ error: 'Failed to fetch devices' });
+  }
+});
+
+// Register a device. The response includes its API token, which isn't shown again.
+router.post('/', (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    res.status(201).json(createDevice(name));
+  } catch (error) {
+    console.error('Error creating device:', error);
+    res.status(500).json({ error: 'Failed to create device' });
+  }
+});
+
+// Rename a device
+router.put('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!getDevice(id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    db.prepare('UPDATE devices SET name = COALESCE(?, name) WHERE id = ?').run(name, id);
+    res.json(getDevice(id));
+  } catch (error) {
+    console.error('Error updating device:', error);
+    res.status(500).json({ error: 'Failed to update device' });
+  }
+});
+
+// Remove a device, revoking its token. Its sensors and readings are kept, and
+// the sensors are released so a replacement device can report them.
+router.delete('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!getDevice(id)) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    db.prepare('UPDATE sensors SET device_id = NULL WHERE device_id = ?').run(id);
+    db.prepare('DELETE FROM devices WHERE id = ?').run(id);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting device:', error);
+    res.status(500).json({ error: 'Failed to delete device' });
+  }
+});
+
+module.exports = router;
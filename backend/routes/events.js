@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../services/events');
+
+const HEARTBEAT_SECONDS = 30;
+
+// Server-Sent Events stream of live updates (readings, alerts, task and bed changes, MQTT status)
+router.get('/', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tell the browser how long to wait before reconnecting
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(({ type, data }) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  });
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_SECONDS * 1000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
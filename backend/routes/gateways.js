@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../models/db');
+const { getSetting } = require('../services/alerts');
+const { getGateway, countGateways, toPublicGateway, findGateway, approveGateway } = require('../services/gateways');
+
+// Gateways post every minute or so; one that's been silent as long as a
+// stale sensor is reported offline
+const STATUS_SQL = `
+  CASE
+    WHEN g.last_post_at IS NULL THEN 'never'
+    WHEN g.last_post_at < datetime('now', ?) THEN 'offline'
+    ELSE 'online'
+  END as status`;
+
+function staleCutoff() {
+  return `-${parseInt(getSetting('stale_sensor_minutes')) || 30} minutes`;
+}
+
+// Get all registered gateways, including ones waiting for approval
+router.get('/', (req, res) => {
+  try {
+    const gateways = db.prepare(`
+      SELECT g.*, ${STATUS_SQL},
+        (SELECT COUNT(*) FROM sensors WHERE gateway_id = g.id) as sensor_count,
+        (SELECT COUNT(*) FROM ingest_log WHERE gateway_id = g.id AND status = 'quarantined') as quarantined_posts
+      FROM gateways g
+      ORDER BY g.approved DESC, g.is_default DESC, g.name
+    `).all(staleCutoff());
+
+    res.json(gateways.map(toPublicGateway));
+  } catch (error) {
+    console.error('Error fetching gateways:', error);
+    res.status(500).json({ error: 'Failed to fetch gateways' });
+  }
+});
+
+// Get a gateway with the sensors registered on it
+router.get('/:id', (req, res) => {
+  try {
+    const gateway = db.prepare(`
+      SELECT g.*, ${STATUS_SQL} FROM gateways g WHERE g.id = ?
+    `).get(staleCutoff(), req.params.id);
+    if (!gateway) {
+      return res.status(404).json({ error: 'Gateway not found' });
+    }
+
+    const sensors = db.prepare(`
+      SELECT sensor_id, name, sensor_type, channel, status, last_seen
+      FROM sensors
+      WHERE gateway_id = ?
+      ORDER BY sensor_type, channel
+    `).all(gateway.id);
+
+    res.json({ ...toPublicGateway(gateway), sensors });
+  } catch (error) {
+    console.error('Error fetching gateway:', error);
+    res.status(500).json({ error: 'Failed to fetch gateway' });
+  }
+});
+
+// Register a known gateway by its PASSKEY and/or MAC address
+router.post('/', (req, res) => {
+  try {
+    const { name } = req.body;
+    const passkey = req.body.passkey || null;
+    const mac = req.body.mac ? req.body.mac.toUpperCase() : null;
+
+    if (!name || (!passkey && !mac)) {
+      return res.status(400).json({ error: 'Name and a passkey or MAC address are required' });
+    }
+    if (findGateway(passkey, mac)) {
+      return res.status(400).json({ error: 'Gateway is already registered' });
+    }
+
+    // The first gateway registered becomes the default
+    const hasDefault = !!db.prepare('SELECT id FROM gateways WHERE is_default = 1').get();
+    const result = db.prepare(`
+      INSERT INTO gateways (name, passkey, mac, approved, is_default)
+      VALUES (?, ?, ?, 1, ?)
+    `).run(name, passkey, mac, hasDefault ? 0 : 1);
+
+    res.status(201).json(toPublicGateway(getGateway(result.lastInsertRowid)));
+  } catch (error) {
+    console.error('Error creating gateway:', error);
+    res.status(500).json({ error: 'Failed to create gateway' });
+  }
+});
+
+// Rename a gateway, or revoke its approval with { approved: false }
+router.put('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, approved } = req.body;
+
+    if (!getGateway(id)) {
+      return res.status(404).json({ error: 'Gateway not found' });
+    }
+
+    db.prepare(`
+      UPDATE gateways SET
+        name = COALESCE(?, name),
+        approved = COALESCE(?, approved)
+      WHERE id = ?
+    `).run(name, approved === undefined ? null : (approved ? 1 : 0), id);
+
+    res.json(toPublicGateway(getGateway(id)));
+  } catch (error) {
+    console.error('Error updating gateway:', error);
+    res.status(500).json({ error: 'Failed to update gateway' });
+  }
+});
+
+// Approve a quarantined gateway and parse the payloads it sent while waiting
+router.post('/:id/approve', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!getGateway(id)) {
+      return res.status(404).json({ error: 'Gateway not found' });
+    }
+
+    const replay = approveGateway(id);
+    res.json({ ...toPublicGateway(getGateway(id)), replay });
+  } catch (error) {
+    console.error('Error approving gateway:', error);
+    res.status(500).json({ error: 'Failed to approve gateway' });
+  }
+});
+
+// Remove a gateway (its readings are kept). Posts from it are treated as unknown again.
+// The last gateway can't be removed: with none registered the next gateway to
+// post would be trusted automatically.
+router.delete('/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!getGateway(id)) {
+      return res.status(404).json({ error: 'Gateway not found' });
+    }
+    if (countGateways() === 1) {
+      return res.status(400).json({ error: 'Cannot remove the only gateway; revoke its approval instead' });
+    }
+
+    db.prepare('DELETE FROM gateways WHERE id = ?').run(id);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting gateway:', error);
+    res.status(500).json({ error: 'Failed to delete gateway' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const { getIngestLog, getIngestEntry } = require('../services/ingestLog');
+const { getPollerStatus } = require('../services/ecowittPoller');
+
+const MAX_LOG_LIMIT = 500;
+
+// Browse recently archived webhook payloads (?limit=50&status=error&source=ecowitt)
+router.get('/log', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, MAX_LOG_LIMIT);
+
+    res.json(getIngestLog({
+      limit,
+      status: req.query.status || null,
+      source: req.query.source || null
+    }));
+  } catch (error) {
+    console.error('Error fetching ingest log:', error);
+    res.status(500).json({ error: 'Failed to fetch ingest log' });
+  }
+});
+
+// Get a single archived payload
+router.get('/log/:id', (req, res) => {
+  try {
+    const entry = getIngestEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Ingest log entry not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching ingest log entry:', error);
+    res.status(500).json({ error: 'Failed to fetch ingest log entry' });
+  }
+});
+
+// Which ingest mode is active (push or poll) and how the last local API poll went
+router.get('/poller', (req, res) => {
+  try {
+    res.json(getPollerStatus());
+  } catch (error) {
+    console.error('Error fetching poller status:', error);
+    res.status(500).json({ error: 'Failed to fetch poller status' });
+  }
+});
+
+module.exports = router;
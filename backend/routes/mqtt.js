@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { getMqttStatus, startMqttBridge } = require('../services/mqtt');
+
+// MQTT bridge connection status
+router.get('/status', (req, res) => {
+  try {
+    res.json(getMqttStatus());
+  } catch (error) {
+    console.error('Error fetching MQTT status:', error);
+    res.status(500).json({ error: 'Failed to fetch MQTT status' });
+  }
+});
+
+// Reconnect with the current mqtt_* settings (after changing them)
+router.post('/reconnect', (req, res) => {
+  try {
+    startMqttBridge();
+    res.json(getMqttStatus());
+  } catch (error) {
+    console.error('Error reconnecting MQTT:', error);
+    res.status(500).json({ error: 'Failed to reconnect MQTT' });
+  }
+});
+
+module.exports = router;
@@ -1,106 +1,123 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
-const { checkMoistureAlert, checkTemperatureAlert } = require('../services/alerts');
+const { getSensor } = require('../services/sensors');
+const { ingestEcowittPayload } = require('../services/ecowitt');
+const { logIngest, finishIngest } = require('../services/ingestLog');
+const { authorizeGateway } = require('../services/gateways');
+const { getIngestMode } = require('../services/ecowittPoller');
+const { parseWundergroundParams } = require('../services/wunderground');
+const { authenticateDevice } = require('../services/devices');
+const { parseJsonReadings } = require('../services/jsonIngest');
+const { storeReadings } = require('../services/readings');
+const { parseHistoryParams, querySensorHistory, toSqliteTime } = require('../services/history');
+const { getCalibration, validateCalibration, recomputeReadings } = require('../services/calibration');
+const { getBatteryOverview, markBatteryReplaced, estimateReplacementDate } = require('../services/battery');
+
+const MAX_HISTORY_SENSORS = 32;
 
 // Ecowitt gateway webhook endpoint
-// The gateway POSTs form-encoded data to this endpoint
+// The gateway POSTs form-encoded data to this endpoint.
+// Every payload is archived in ingest_log (browse it at /api/ingest/log);
+// only payloads from approved gateways are parsed.
+// While polling the gateway's local API (ecowitt_mode = 'poll') posts are archived
+// but ignored, so readings aren't stored twice.
 router.post('/ecowitt', (req, res) => {
+  let ingestId = null;
   try {
     const data = req.body;
 
-    // Log raw data for debugging (remove in production)
-    console.log('Ecowitt data received:', JSON.stringify(data, null, 2));
-
-    // Ecowitt sends:
-    // - Soil moisture as soilmoisture1, soilmoisture2, etc. (battery: soilbatt1, etc.)
-    // - Soil temperature as tf_ch1, tf_ch2, etc. (battery: tf_batt1, etc.)
-    //   or sometimes as soiltemp1f (Fahrenheit), soiltemp1c (Celsius)
-    const insertMoisture = db.prepare(`
-      INSERT INTO sensor_readings (sensor_id, sensor_name, sensor_type, moisture_percent, battery_status)
-      VALUES (?, ?, 'moisture', ?, ?)
-    `);
-
-    const insertTemperature = db.prepare(`
-      INSERT INTO sensor_readings (sensor_id, sensor_name, sensor_type, temperature_f, battery_status)
-      VALUES (?, ?, 'temperature', ?, ?)
-    `);
-
-    const insertMany = db.transaction(() => {
-      // Check for up to 8 soil moisture channels
-      for (let i = 1; i <= 8; i++) {
-        const moistureKey = `soilmoisture${i}`;
-        const batteryKey = `soilbatt${i}`;
-
-        if (data[moistureKey] !== undefined) {
-          insertMoisture.run(
-            `soil_moisture_${i}`,
-            `Soil Moisture ${i}`,
-            parseFloat(data[moistureKey]),
-            data[batteryKey] || 'unknown'
-          );
-        }
-      }
+    if (getIngestMode() === 'poll') {
+      logIngest('ecowitt', req.ip, data, null, 'ignored');
+      return res.status(200).send('OK');
+    }
 
-      // Check for up to 8 soil temperature channels
-      // Ecowitt uses tf_ch1 (temp F channel) or soiltemp1f format
-      for (let i = 1; i <= 8; i++) {
-        // Try tf_ch format first (common for WN34 sensors)
-        let tempKey = `tf_ch${i}`;
-        let batteryKey = `tf_batt${i}`;
-        let tempValue = data[tempKey];
-
-        // Try soiltemp format if tf_ch not found
-        if (tempValue === undefined) {
-          tempKey = `soiltemp${i}f`;
-          batteryKey = `soiltempbatt${i}`;
-          tempValue = data[tempKey];
-        }
-
-        if (tempValue !== undefined) {
-          insertTemperature.run(
-            `soil_temp_${i}`,
-            `Soil Temp ${i}`,
-            parseFloat(tempValue),
-            data[batteryKey] || 'unknown'
-          );
-        }
-      }
-    });
+    const { action, gateway } = authorizeGateway(data, req.ip);
+    const gatewayId = gateway ? gateway.id : null;
 
-    insertMany();
-
-    // Check alerts for each sensor (async, don't block response)
-    // Moisture sensors
-    for (let i = 1; i <= 8; i++) {
-      const moistureKey = `soilmoisture${i}`;
-      if (data[moistureKey] !== undefined) {
-        checkMoistureAlert(
-          `soil_moisture_${i}`,
-          `Soil Moisture ${i}`,
-          parseFloat(data[moistureKey])
-        ).catch(err => console.error('Moisture alert error:', err));
-      }
+    if (action === 'reject') {
+      logIngest('ecowitt', req.ip, data, gatewayId, 'rejected');
+      return res.status(403).json({ error: 'Unknown gateway' });
     }
-
-    // Temperature sensors
-    for (let i = 1; i <= 8; i++) {
-      let tempValue = data[`tf_ch${i}`];
-      if (tempValue === undefined) {
-        tempValue = data[`soiltemp${i}f`];
-      }
-      if (tempValue !== undefined) {
-        checkTemperatureAlert(
-          `soil_temp_${i}`,
-          `Soil Temp ${i}`,
-          parseFloat(tempValue)
-        ).catch(err => console.error('Temperature alert error:', err));
-      }
+    if (action === 'quarantine') {
+      logIngest('ecowitt', req.ip, data, gatewayId, 'quarantined');
+      return res.status(202).send('Quarantined');
     }
 
+    ingestId = logIngest('ecowitt', req.ip, data, gatewayId);
+    const result = ingestEcowittPayload(data, { ingestId, gatewayId });
+    finishIngest(ingestId, 'ok', result);
+
     res.status(200).send('OK');
   } catch (error) {
     console.error('Error processing Ecowitt data:', error);
+    if (ingestId) finishIngest(ingestId, 'error', { error: error.message });
+    res.status(500).json({ error: 'Failed to process sensor data' });
+  }
+});
+
+// Weather Underground protocol endpoint (also served at
+// /weatherstation/updateweatherstation.php, see server.js).
+// Stations send a GET with the readings in the query string. The raw query is
+// archived, then mapped to Ecowitt keys and parsed like a webhook post; the
+// station PASSWORD (with its ID) identifies the gateway for the allowlist.
+router.get('/wunderground', (req, res) => {
+  let ingestId = null;
+  try {
+    const data = parseWundergroundParams(req.query);
+    const { action, gateway } = authorizeGateway(data, req.ip);
+    const gatewayId = gateway ? gateway.id : null;
+
+    if (action === 'reject') {
+      logIngest('wunderground', req.ip, req.query, gatewayId, 'rejected');
+      return res.status(403).send('unauthorized');
+    }
+    if (action === 'quarantine') {
+      logIngest('wunderground', req.ip, req.query, gatewayId, 'quarantined');
+      return res.status(202).send('success');
+    }
+
+    ingestId = logIngest('wunderground', req.ip, req.query, gatewayId);
+    const result = ingestEcowittPayload(data, { ingestId, gatewayId });
+    finishIngest(ingestId, 'ok', result);
+
+    // Wunderground clients look for "success" in the response body
+    res.status(200).send('success');
+  } catch (error) {
+    console.error('Error processing Wunderground data:', error);
+    if (ingestId) finishIngest(ingestId, 'error', { error: error.message });
+    res.status(500).send('error');
+  }
+});
+
+// JSON ingest API for DIY sensors (ESP32 probes, DS18B20s, ...).
+// Authenticated with a per-device token: Authorization: Bearer <token>.
+// Body: { readings: [{ sensor_id, metric, value, unit, timestamp }] }
+router.post('/ingest', (req, res) => {
+  let ingestId = null;
+  try {
+    const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+    const device = scheme === 'Bearer' ? authenticateDevice(token, req.ip) : null;
+    if (!device) {
+      return res.status(401).json({ error: 'Missing or invalid device token' });
+    }
+
+    // Batches that fail checks are archived as rejected so range replays skip them
+    const { readings, error } = parseJsonReadings(req.body, device);
+    if (error) {
+      finishIngest(logIngest('json', req.ip, req.body, null, 'rejected', device.id), 'rejected', { error });
+      return res.status(400).json({ error });
+    }
+
+    ingestId = logIngest('json', req.ip, req.body, null, 'received', device.id);
+
+    const result = storeReadings(readings, { ingestId, deviceId: device.id });
+    finishIngest(ingestId, 'ok', result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error processing JSON readings:', error);
+    if (ingestId) finishIngest(ingestId, 'error', { error: error.message });
     res.status(500).json({ error: 'Failed to process sensor data' });
   }
 });
@@ -110,18 +127,38 @@ router.get('/latest', (req, res) => {
   try {
     const readings = db.prepare(`
       SELECT
-        sensor_id,
-        sensor_name,
-        sensor_type,
-        moisture_percent,
-        temperature_f,
-        battery_status,
-        timestamp
-      FROM sensor_readings
-      WHERE id IN (
-        SELECT MAX(id) FROM sensor_readings GROUP BY sensor_id
+        r.sensor_id,
+        COALESCE(s.name, r.sensor_name) as sensor_name,
+        r.sensor_type,
+        r.moisture_percent,
+        r.moisture_raw_percent,
+        r.soil_ad,
+        r.temperature_f,
+        r.humidity,
+        r.leaf_wetness_percent,
+        r.co2_ppm,
+        r.pm25,
+        r.pm10,
+        r.leak,
+        r.battery_status,
+        s.battery_low,
+        r.timestamp,
+        s.status,
+        s.last_seen,
+        s.model,
+        s.depth_inches,
+        s.bed_id,
+        b.name as bed_name,
+        s.bed_row,
+        s.bed_col,
+        s.notes
+      FROM sensor_readings r
+      LEFT JOIN sensors s ON r.sensor_id = s.sensor_id
+      LEFT JOIN beds b ON s.bed_id = b.id
+      WHERE r.id IN (
+        SELECT MAX(id) FROM sensor_readings WHERE rejected = 0 GROUP BY sensor_id
       )
-      ORDER BY sensor_type, sensor_id
+      ORDER BY r.sensor_type, r.sensor_id
     `).all();
 
     res.json(readings);
@@ -131,44 +168,101 @@ router.get('/latest', (req, res) => {
   }
 });
 
-// Get historical readings for a sensor
+// Battery state of every sensor: normalized value, last replacement and estimated replacement date
+router.get('/battery', (req, res) => {
+  try {
+    res.json(getBatteryOverview());
+  } catch (error) {
+    console.error('Error fetching battery status:', error);
+    res.status(500).json({ error: 'Failed to fetch battery status' });
+  }
+});
+
+// Get historical readings for several sensors in one request.
+// ?sensor_ids=a,b&from=ISO&to=ISO (or ?hours=24)&bucket=5m|1h|1d&agg=avg|min|max|last
+router.get('/history', (req, res) => {
+  try {
+    const sensorIds = String(req.query.sensor_ids || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    if (sensorIds.length === 0) {
+      return res.status(400).json({ error: 'sensor_ids is required' });
+    }
+    if (sensorIds.length > MAX_HISTORY_SENSORS) {
+      return res.status(400).json({ error: `At most ${MAX_HISTORY_SENSORS} sensors per request` });
+    }
+
+    const unknown = sensorIds.filter(id => !getSensor(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({ error: `Sensor not found: ${unknown.join(', ')}` });
+    }
+
+    const { options, error } = parseHistoryParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const series = {};
+    for (const sensorId of sensorIds) {
+      series[sensorId] = querySensorHistory(sensorId, options);
+    }
+
+    res.json({
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      resolution: options.resolution,
+      bucket: options.bucket,
+      agg: options.agg,
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching sensor history:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Get historical readings for a sensor.
+// Accepts the same range/bucket/agg parameters as /history. Short spans come from
+// raw readings, longer spans from hourly or daily rollups (?resolution= overrides).
 router.get('/history/:sensorId', (req, res) => {
   try {
     const { sensorId } = req.params;
-    const hours = parseInt(req.query.hours) || 24;
 
-    const readings = db.prepare(`
-      SELECT
-        sensor_type,
-        moisture_percent,
-        temperature_f,
-        timestamp
-      FROM sensor_readings
-      WHERE sensor_id = ?
-        AND timestamp > datetime('now', '-${hours} hours')
-      ORDER BY timestamp ASC
-    `).all(sensorId);
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
 
-    res.json(readings);
+    const { options, error } = parseHistoryParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json(querySensorHistory(sensorId, options));
   } catch (error) {
     console.error('Error fetching sensor history:', error);
     res.status(500).json({ error: 'Failed to fetch history' });
   }
 });
 
-// Get all unique sensors
+// Get all registered sensors
 router.get('/', (req, res) => {
   try {
     const sensors = db.prepare(`
-      SELECT DISTINCT 
-        sensor_id,
-        sensor_name,
-        MAX(timestamp) as last_seen
-      FROM sensor_readings
-      GROUP BY sensor_id
-      ORDER BY sensor_id
+      SELECT
+        s.*,
+        s.name as sensor_name,
+        b.name as bed_name,
+        g.name as gateway_name,
+        d.name as device_name
+      FROM sensors s
+      LEFT JOIN beds b ON s.bed_id = b.id
+      LEFT JOIN gateways g ON s.gateway_id = g.id
+      LEFT JOIN devices d ON s.device_id = d.id
+      ORDER BY s.sensor_id
     `).all();
-    
+
     res.json(sensors);
   } catch (error) {
     console.error('Error fetching sensors:', error);
@@ -176,4 +270,335 @@ router.get('/', (req, res) => {
   }
 });
 
+// Check that a sensor's bed location refers to a real bed cell.
+// Returns an error message, or null if the location is valid.
+function validateLocation(bedId, bedRow, bedCol) {
+  if (bedId === undefined || bedId === null || bedId === '') return null;
+
+  const bed = db.prepare('SELECT * FROM beds WHERE id = ?').get(bedId);
+  if (!bed) return 'Bed not found';
+
+  if (bedRow !== undefined && bedRow !== null &&
+      (bedRow < 0 || bedRow >= bed.rows)) {
+    return 'Cell position out of bounds';
+  }
+  if (bedCol !== undefined && bedCol !== null &&
+      (bedCol < 0 || bedCol >= bed.cols)) {
+    return 'Cell position out of bounds';
+  }
+
+  return null;
+}
+
+// Get a single sensor from the registry
+router.get('/:sensorId', (req, res) => {
+  try {
+    const sensor = getSensor(req.params.sensorId);
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    res.json(sensor);
+  } catch (error) {
+    console.error('Error fetching sensor:', error);
+    res.status(500).json({ error: 'Failed to fetch sensor' });
+  }
+});
+
+// Register a sensor manually (e.g. before it first reports)
+router.post('/', (req, res) => {
+  try {
+    const {
+      sensor_id, name, sensor_type, model, install_date,
+      depth_inches, bed_id, bed_row, bed_col, notes
+    } = req.body;
+
+    if (!sensor_id || !name) {
+      return res.status(400).json({ error: 'Sensor id and name are required' });
+    }
+
+    if (getSensor(sensor_id)) {
+      return res.status(400).json({ error: 'Sensor is already registered' });
+    }
+
+    const locationError = validateLocation(bed_id, bed_row, bed_col);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    db.prepare(`
+      INSERT INTO sensors (sensor_id, name, sensor_type, model, install_date, depth_inches, bed_id, bed_row, bed_col, notes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sensor_id, name, sensor_type, model, install_date, depth_inches, bed_id || null, bed_row, bed_col, notes);
+
+    res.status(201).json(getSensor(sensor_id));
+  } catch (error) {
+    console.error('Error creating sensor:', error);
+    res.status(500).json({ error: 'Failed to create sensor' });
+  }
+});
+
+// Update a sensor's name, hardware details or location.
+// Fields left out of the body keep their current values; send null to clear one.
+// Readings are joined to the registry, so old rows pick up the new name.
+router.put('/:sensorId', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const sensor = getSensor(sensorId);
+
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const field = key => (req.body[key] !== undefined ? req.body[key] : sensor[key]);
+    const bedId = field('bed_id') || null;
+    const bedRow = field('bed_row');
+    const bedCol = field('bed_col');
+
+    const locationError = validateLocation(bedId, bedRow, bedCol);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    db.prepare(`
+      UPDATE sensors SET
+        name = ?,
+        model = ?,
+        install_date = ?,
+        depth_inches = ?,
+        bed_id = ?,
+        bed_row = ?,
+        bed_col = ?,
+        notes = ?
+      WHERE sensor_id = ?
+    `).run(
+      req.body.name || sensor.name, field('model'), field('install_date'), field('depth_inches'),
+      bedId, bedRow, bedCol, field('notes'), sensorId
+    );
+
+    res.json(getSensor(sensorId));
+  } catch (error) {
+    console.error('Error updating sensor:', error);
+    res.status(500).json({ error: 'Failed to update sensor' });
+  }
+});
+
+// Remove a sensor from the registry (its readings are kept)
+router.delete('/:sensorId', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    db.prepare('DELETE FROM sensors WHERE sensor_id = ?').run(sensorId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting sensor:', error);
+    res.status(500).json({ error: 'Failed to delete sensor' });
+  }
+});
+
+// Newest reading for one sensor, even if validation rejected it. The calibration
+// wizard reads this: moving the probe between air and water is a deliberate jump
+// that the spike check holds back until the next reading confirms it.
+router.get('/:sensorId/reading', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const reading = db.prepare(`
+      SELECT sensor_id, sensor_type, moisture_percent, moisture_raw_percent, soil_ad,
+        rejected, rejected_reason, timestamp
+      FROM sensor_readings
+      WHERE sensor_id = ?
+      ORDER BY timestamp DESC, id DESC LIMIT 1
+    `).get(sensorId);
+
+    if (!reading) {
+      return res.status(404).json({ error: 'No readings for this sensor yet' });
+    }
+
+    res.json(reading);
+  } catch (error) {
+    console.error('Error fetching sensor reading:', error);
+    res.status(500).json({ error: 'Failed to fetch sensor reading' });
+  }
+});
+
+// Readings rejected by ingest validation for one sensor (?hours=24)
+router.get('/:sensorId/rejected', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const hours = parseInt(req.query.hours) || 24;
+    const readings = db.prepare(`
+      SELECT sensor_type, moisture_percent, moisture_raw_percent, temperature_f, humidity,
+        leaf_wetness_percent, co2_ppm, rejected_reason, timestamp
+      FROM sensor_readings
+      WHERE sensor_id = ? AND rejected = 1 AND timestamp > datetime('now', ?)
+      ORDER BY timestamp DESC
+    `).all(sensorId, `-${hours} hours`);
+
+    res.json(readings);
+  } catch (error) {
+    console.error('Error fetching rejected readings:', error);
+    res.status(500).json({ error: 'Failed to fetch rejected readings' });
+  }
+});
+
+// Battery history for one sensor (?days=90)
+router.get('/:sensorId/battery', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const sensor = getSensor(sensorId);
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const days = parseInt(req.query.days) || 90;
+    const history = db.prepare(`
+      SELECT kind, value, percent, low, timestamp
+      FROM battery_readings
+      WHERE sensor_id = ? AND timestamp > datetime('now', ?)
+      ORDER BY timestamp ASC
+    `).all(sensorId, `-${days} days`);
+
+    res.json({
+      sensor_id: sensorId,
+      battery_low: !!sensor.battery_low,
+      battery_replaced_at: sensor.battery_replaced_at,
+      estimated_replacement: estimateReplacementDate(sensorId),
+      history
+    });
+  } catch (error) {
+    console.error('Error fetching battery history:', error);
+    res.status(500).json({ error: 'Failed to fetch battery history' });
+  }
+});
+
+// Record a battery replacement (optional { date: 'YYYY-MM-DD' }, defaults to today)
+router.post('/:sensorId/battery/replaced', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    const { date } = req.body;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    markBatteryReplaced(sensorId, date || null);
+    res.json(getSensor(sensorId));
+  } catch (error) {
+    console.error('Error recording battery replacement:', error);
+    res.status(500).json({ error: 'Failed to record battery replacement' });
+  }
+});
+
+// Get a moisture sensor's calibration curve (null if uncalibrated)
+router.get('/:sensorId/calibration', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    res.json(getCalibration(sensorId));
+  } catch (error) {
+    console.error('Error fetching calibration:', error);
+    res.status(500).json({ error: 'Failed to fetch calibration' });
+  }
+});
+
+// Set a calibration curve: { input: 'ad'|'percent', points: [{ raw, vwc }, ...] }
+// Two points (dry and wet) give a straight line; more points give a piecewise curve.
+// New readings use it immediately; use /calibration/recompute to rewrite history.
+router.put('/:sensorId/calibration', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+    const sensor = getSensor(sensorId);
+
+    if (!sensor) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+    if (sensor.sensor_type !== 'moisture') {
+      return res.status(400).json({ error: 'Only moisture sensors can be calibrated' });
+    }
+
+    const input = req.body.input || 'percent';
+    const points = Array.isArray(req.body.points)
+      ? req.body.points.map(p => ({ raw: Number(p.raw), vwc: Number(p.vwc) }))
+      : req.body.points;
+
+    const validationError = validateCalibration({ input, points });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    db.prepare(`
+      INSERT OR REPLACE INTO sensor_calibrations (sensor_id, input, points, updated_at)
+      VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(sensorId, input, JSON.stringify(points));
+
+    res.json(getCalibration(sensorId));
+  } catch (error) {
+    console.error('Error saving calibration:', error);
+    res.status(500).json({ error: 'Failed to save calibration' });
+  }
+});
+
+// Remove a calibration so the sensor reads the gateway's percentage again
+router.delete('/:sensorId/calibration', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    db.prepare('DELETE FROM sensor_calibrations WHERE sensor_id = ?').run(sensorId);
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error deleting calibration:', error);
+    res.status(500).json({ error: 'Failed to delete calibration' });
+  }
+});
+
+// Recompute stored moisture (and rollups) with the current calibration.
+// Optional { from: ISO timestamp } limits it to readings since then.
+router.post('/:sensorId/calibration/recompute', (req, res) => {
+  try {
+    const { sensorId } = req.params;
+
+    if (!getSensor(sensorId)) {
+      return res.status(404).json({ error: 'Sensor not found' });
+    }
+
+    let since = null;
+    if (req.body.from) {
+      const from = new Date(req.body.from);
+      if (isNaN(from)) {
+        return res.status(400).json({ error: 'Invalid "from" timestamp' });
+      }
+      since = toSqliteTime(from);
+    }
+
+    const updated = recomputeReadings(sensorId, since);
+    res.json({ sensor_id: sensorId, updated });
+  } catch (error) {
+    console.error('Error recomputing readings:', error);
+    res.status(500).json({ error: 'Failed to recompute readings' });
+  }
+});
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
+const { publish } = require('../services/events');
 
 // Get all tasks with filtering
 router.get('/', (req, res) => {
@@ -113,6 +114,7 @@ router.post('/', (req, res) => {
     `).run(title, description, task_type, due_date, recurring, plant_id, planting_id);
 
     const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(result.lastInsertRowid);
+    publish('task', { action: 'created', task });
     res.status(201).json(task);
   } catch (error) {
     console.error('Error creating task:', error);
@@ -144,6 +146,7 @@ router.put('/:id', (req, res) => {
     `).run(title, description, task_type, due_date, recurring, plant_id, planting_id, id);
 
     const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+    publish('task', { action: 'updated', task });
     res.json(task);
   } catch (error) {
     console.error('Error updating task:', error);
@@ -197,6 +200,7 @@ router.post('/:id/complete', (req, res) => {
     }
 
     const updatedTask = db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+    publish('task', { action: 'completed', task: updatedTask });
     res.json(updatedTask);
   } catch (error) {
     console.error('Error completing task:', error);
@@ -219,6 +223,7 @@ router.post('/:id/uncomplete', (req, res) => {
     `).run(id);
 
     const updatedTask = db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+    publish('task', { action: 'uncompleted', task: updatedTask });
     res.json(updatedTask);
   } catch (error) {
     console.error('Error uncompleting task:', error);
@@ -237,6 +242,7 @@ router.delete('/:id', (req, res) => {
     }
 
     db.prepare('DELETE FROM tasks WHERE id = ?').run(id);
+    publish('task', { action: 'deleted', task: existing });
     res.status(204).send();
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -267,6 +273,7 @@ router.post('/bulk/reminders', (req, res) => {
     `).run(template.title, template.description, task_type, start_date || new Date().toISOString().split('T')[0], recurring || 'weekly', plant_id, planting_id);
 
     const task = db.prepare('SELECT * FROM tasks WHERE id = ?').get(result.lastInsertRowid);
+    publish('task', { action: 'created', task });
     res.status(201).json(task);
   } catch (error) {
     console.error('Error creating reminder:', error);
@@ -1,99 +1,59 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../models/db');
-
-// Zone 10b approximate coordinates (Southern California / South Florida area)
-// You can override these with environment variables
-const DEFAULT_LAT = process.env.GARDEN_LAT || 32.7;
-const DEFAULT_LON = process.env.GARDEN_LON || -117.1;
-
-const CACHE_DURATION_MINUTES = 15;
-
-// Helper to check if cache is still valid
-function getCachedData(dataType) {
-  const cached = db.prepare(`
-    SELECT data, fetched_at FROM weather_cache
-    WHERE data_type = ?
-    ORDER BY fetched_at DESC LIMIT 1
-  `).get(dataType);
-
-  if (!cached) return null;
-
-  const fetchedAt = new Date(cached.fetched_at);
-  const now = new Date();
-  const minutesOld = (now - fetchedAt) / (1000 * 60);
-
-  if (minutesOld < CACHE_DURATION_MINUTES) {
-    return JSON.parse(cached.data);
+const { getWateringStatus } = require('../services/watering');
+const { roundCoordinate } = require('../services/weatherCache');
+const { WEATHER_KINDS, getWeather, getGardenLocation, getProviderStatus } = require('../services/weather');
+const { getPrefetchStatus } = require('../services/weatherPrefetch');
+
+// Location from ?lat=&lon=, defaulting to the garden's (GARDEN_LAT/GARDEN_LON).
+// Returns { lat, lon } rounded to the cache's precision, or { error }.
+function parseLocation(query) {
+  const garden = getGardenLocation();
+  const lat = query.lat === undefined ? garden.lat : Number(query.lat);
+  const lon = query.lon === undefined ? garden.lon : Number(query.lon);
+
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    return { error: '"lat" must be a number between -90 and 90' };
   }
-
-  return null;
-}
-
-// Helper to cache data
-function cacheData(dataType, data) {
-  // Delete old cache entries for this type
-  db.prepare('DELETE FROM weather_cache WHERE data_type = ?').run(dataType);
-
-  // Insert new cache entry
-  db.prepare(`
-    INSERT INTO weather_cache (data_type, data) VALUES (?, ?)
-  `).run(dataType, JSON.stringify(data));
+  if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+    return { error: '"lon" must be a number between -180 and 180' };
+  }
+  return { lat: roundCoordinate(lat), lon: roundCoordinate(lon) };
 }
 
-// Fetch from Open-Meteo API
-async function fetchOpenMeteo(endpoint, params) {
-  const url = new URL(`https://api.open-meteo.com/v1/${endpoint}`);
-  Object.entries(params).forEach(([key, value]) => {
-    url.searchParams.append(key, value);
-  });
-
-  const response = await fetch(url.toString());
-
-  if (!response.ok) {
-    throw new Error(`Open-Meteo API error: ${response.status}`);
+// The current hour in a time zone, formatted like forecast times ("2026-10-18T14"),
+// or null for a zone Intl doesn't know
+function currentLocalHour(timeZone) {
+  try {
+    return new Date().toLocaleString('sv-SE', { timeZone }).slice(0, 13).replace(' ', 'T');
+  } catch (error) {
+    return null;
   }
+}
 
-  return response.json();
+// Days of a daily forecast from today on. Cached (or stale) forecasts can start
+// days in the past; zones Intl doesn't know keep every day.
+function upcomingDays(data) {
+  const now = currentLocalHour(data.timezone);
+  return now ? data.days.filter(day => day.date >= now.slice(0, 10)) : data.days;
 }
 
 // Get current weather conditions
 router.get('/current', async (req, res) => {
   try {
-    const lat = req.query.lat || DEFAULT_LAT;
-    const lon = req.query.lon || DEFAULT_LON;
-
-    // Check cache first
-    const cached = getCachedData('current');
-    if (cached) {
-      return res.json(cached);
+    const location = parseLocation(req.query);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
     }
 
-    const data = await fetchOpenMeteo('forecast', {
-      latitude: lat,
-      longitude: lon,
-      current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,wind_speed_10m,wind_direction_10m',
-      temperature_unit: 'fahrenheit',
-      wind_speed_unit: 'mph',
-      precipitation_unit: 'inch',
-      timezone: 'auto'
-    });
+    const { data, ...freshness } = await getWeather('current', location);
 
-    const result = {
-      temperature: data.current.temperature_2m,
-      feels_like: data.current.apparent_temperature,
-      humidity: data.current.relative_humidity_2m,
-      precipitation: data.current.precipitation,
-      weather_code: data.current.weather_code,
-      weather_description: getWeatherDescription(data.current.weather_code),
-      wind_speed: data.current.wind_speed_10m,
-      wind_direction: data.current.wind_direction_10m,
-      time: data.current.time,
-      timezone: data.timezone
-    };
-
-    cacheData('current', result);
-    res.json(result);
+    res.json({
+      ...data,
+      weather_description: data.weather_description || getWeatherDescription(data.weather_code),
+      ...freshness
+    });
   } catch (error) {
     console.error('Error fetching current weather:', error);
     res.status(500).json({ error: 'Failed to fetch weather data' });
@@ -103,86 +63,90 @@ router.get('/current', async (req, res) => {
 // Get forecast (7-day)
 router.get('/forecast', async (req, res) => {
   try {
-    const lat = req.query.lat || DEFAULT_LAT;
-    const lon = req.query.lon || DEFAULT_LON;
-
-    // Check cache first
-    const cached = getCachedData('forecast');
-    if (cached) {
-      return res.json(cached);
+    const location = parseLocation(req.query);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
     }
 
-    const data = await fetchOpenMeteo('forecast', {
-      latitude: lat,
-      longitude: lon,
-      daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
-      temperature_unit: 'fahrenheit',
-      wind_speed_unit: 'mph',
-      precipitation_unit: 'inch',
-      timezone: 'auto'
-    });
+    const { data, ...freshness } = await getWeather('daily', location);
 
-    const forecast = data.daily.time.map((date, i) => ({
-      date,
-      weather_code: data.daily.weather_code[i],
-      weather_description: getWeatherDescription(data.daily.weather_code[i]),
-      temp_high: data.daily.temperature_2m_max[i],
-      temp_low: data.daily.temperature_2m_min[i],
-      precipitation: data.daily.precipitation_sum[i],
-      precipitation_probability: data.daily.precipitation_probability_max[i],
-      wind_speed_max: data.daily.wind_speed_10m_max[i]
+    const forecast = upcomingDays(data).map(day => ({
+      ...day,
+      weather_description: day.weather_description || getWeatherDescription(day.weather_code)
     }));
 
-    const result = { forecast, timezone: data.timezone };
-    cacheData('forecast', result);
-    res.json(result);
+    res.json({ forecast, timezone: data.timezone, ...freshness });
   } catch (error) {
     console.error('Error fetching forecast:', error);
     res.status(500).json({ error: 'Failed to fetch forecast data' });
   }
 });
 
+// Get hourly forecast for the next 48 hours (?hours= for fewer)
+router.get('/hourly', async (req, res) => {
+  try {
+    const location = parseLocation(req.query);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
+
+    const maxHours = WEATHER_KINDS.hourly.options.hours;
+    const hours = req.query.hours === undefined ? maxHours : parseInt(req.query.hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > maxHours) {
+      return res.status(400).json({ error: `"hours" must be between 1 and ${maxHours}` });
+    }
+
+    const { data, ...freshness } = await getWeather('hourly', location);
+
+    // Cached (or stale) forecasts can start before the current hour
+    const now = currentLocalHour(data.timezone);
+    const upcoming = now ? data.hours.filter(hour => hour.time.slice(0, 13) >= now) : data.hours;
+
+    const hourly = upcoming.slice(0, hours).map(hour => ({
+      ...hour,
+      weather_description: hour.weather_description || getWeatherDescription(hour.weather_code)
+    }));
+
+    res.json({ hourly, timezone: data.timezone, ...freshness });
+  } catch (error) {
+    console.error('Error fetching hourly forecast:', error);
+    res.status(500).json({ error: 'Failed to fetch hourly forecast' });
+  }
+});
+
 // Get watering recommendation based on weather + soil moisture
 router.get('/watering-advice', async (req, res) => {
   try {
-    const lat = req.query.lat || DEFAULT_LAT;
-    const lon = req.query.lon || DEFAULT_LON;
+    const location = parseLocation(req.query);
+    if (location.error) {
+      return res.status(400).json({ error: location.error });
+    }
 
     // Get current soil moisture readings (only moisture sensors, not temperature)
     const sensorReadings = db.prepare(`
       SELECT
-        sensor_id,
-        sensor_name,
-        moisture_percent
-      FROM sensor_readings
-      WHERE sensor_type = 'moisture'
-        AND id IN (
-          SELECT MAX(id) FROM sensor_readings WHERE sensor_type = 'moisture' GROUP BY sensor_id
+        r.sensor_id,
+        COALESCE(s.name, r.sensor_name) as sensor_name,
+        r.moisture_percent
+      FROM sensor_readings r
+      LEFT JOIN sensors s ON r.sensor_id = s.sensor_id
+      WHERE r.sensor_type = 'moisture'
+        AND r.id IN (
+          SELECT MAX(id) FROM sensor_readings WHERE sensor_type = 'moisture' AND rejected = 0 GROUP BY sensor_id
         )
     `).all();
 
-    // Get forecast for next 3 days
-    let forecastData = getCachedData('forecast');
-    if (!forecastData) {
-      const data = await fetchOpenMeteo('forecast', {
-        latitude: lat,
-        longitude: lon,
-        daily: 'precipitation_sum,precipitation_probability_max,temperature_2m_max',
-        temperature_unit: 'fahrenheit',
-        precipitation_unit: 'inch',
-        timezone: 'auto'
-      });
-
-      forecastData = {
-        forecast: data.daily.time.slice(0, 3).map((date, i) => ({
-          date,
-          precipitation: data.daily.precipitation_sum[i],
-          precipitation_probability: data.daily.precipitation_probability_max[i],
-          temp_high: data.daily.temperature_2m_max[i]
-        }))
-      };
-    } else {
-      forecastData.forecast = forecastData.forecast.slice(0, 3);
+    // Get forecast for the next 3 days (fewer when a stale forecast is running out).
+    // Without one (offline with nothing cached) the advice is based on soil moisture alone.
+    let forecast = null;
+    let freshness = null;
+    try {
+      // Same data as /forecast, so they share a cache entry
+      const { data, ...rest } = await getWeather('daily', location);
+      forecast = upcomingDays(data).slice(0, 3);
+      freshness = rest;
+    } catch (error) {
+      console.error('No forecast for watering advice:', error.message);
     }
 
     // Calculate watering recommendation
@@ -191,22 +155,7 @@ router.get('/watering-advice', async (req, res) => {
     // Check each sensor
     for (const sensor of sensorReadings) {
       const moisture = sensor.moisture_percent;
-      let status = 'ok';
-      let advice = '';
-
-      if (moisture < 20) {
-        status = 'critical';
-        advice = 'Water immediately - soil is very dry';
-      } else if (moisture < 35) {
-        status = 'low';
-        advice = 'Consider watering soon';
-      } else if (moisture > 70) {
-        status = 'saturated';
-        advice = 'Soil is very wet - no watering needed';
-      } else {
-        status = 'good';
-        advice = 'Moisture levels are adequate';
-      }
+      const { status, advice } = getWateringStatus(moisture);
 
       recommendations.push({
         sensor_id: sensor.sensor_id,
@@ -217,17 +166,25 @@ router.get('/watering-advice', async (req, res) => {
       });
     }
 
+    if (!forecast || forecast.length === 0) {
+      return res.json({
+        sensors: recommendations,
+        forecast_summary: null,
+        overall_advice: 'Forecast unavailable right now. Water based on soil moisture readings.'
+      });
+    }
+
     // Check upcoming rain
-    const upcomingRain = forecastData.forecast.reduce((total, day) => total + (day.precipitation || 0), 0);
-    const rainProbability = Math.max(...forecastData.forecast.map(d => d.precipitation_probability || 0));
+    const upcomingRain = forecast.reduce((total, day) => total + (day.precipitation || 0), 0);
+    const rainProbability = Math.max(...forecast.map(d => d.precipitation_probability || 0));
 
     // Check for high temps
-    const maxTemp = Math.max(...forecastData.forecast.map(d => d.temp_high || 0));
+    const maxTemp = Math.max(...forecast.map(d => d.temp_high || 0));
 
     let overallAdvice = '';
 
     if (upcomingRain > 0.5 || rainProbability > 60) {
-      overallAdvice = `Rain expected in the next 3 days (${upcomingRain.toFixed(2)}" total, ${rainProbability}% chance). Consider delaying manual watering.`;
+      overallAdvice = `Rain expected in the next ${forecast.length === 1 ? 'day' : `${forecast.length} days`} (${upcomingRain.toFixed(2)}" total, ${rainProbability}% chance). Consider delaying manual watering.`;
     } else if (maxTemp > 95) {
       overallAdvice = `High temperatures expected (${maxTemp}°F). Plants may need extra water, especially in containers.`;
     } else if (maxTemp > 85) {
@@ -239,10 +196,11 @@ router.get('/watering-advice', async (req, res) => {
     res.json({
       sensors: recommendations,
       forecast_summary: {
-        days_checked: 3,
+        days_checked: forecast.length,
         total_expected_rain: upcomingRain,
         max_rain_probability: rainProbability,
-        max_temperature: maxTemp
+        max_temperature: maxTemp,
+        ...freshness
       },
       overall_advice: overallAdvice
     });
@@ -252,6 +210,69 @@ router.get('/watering-advice', async (req, res) => {
   }
 });
 
+// Weather providers, their failover priority (null when not in use) and backoff state
+router.get('/providers', (req, res) => {
+  try {
+    res.json(getProviderStatus());
+  } catch (error) {
+    console.error('Error fetching weather providers:', error);
+    res.status(500).json({ error: 'Failed to fetch weather providers' });
+  }
+});
+
+// Background refresh of the garden's weather: each kind's cadence, last success and last error
+router.get('/prefetch', (req, res) => {
+  try {
+    res.json(getPrefetchStatus());
+  } catch (error) {
+    console.error('Error fetching weather prefetch status:', error);
+    res.status(500).json({ error: 'Failed to fetch weather prefetch status' });
+  }
+});
+
+// Get the latest reading from the gateway's own weather station
+// (?gateway_id= to pick one when several gateways have stations)
+router.get('/station', (req, res) => {
+  try {
+    const gatewayId = req.query.gateway_id || null;
+
+    const reading = db.prepare(`
+      SELECT * FROM weather_station_readings
+      WHERE (? IS NULL OR gateway_id = ?)
+      ORDER BY id DESC LIMIT 1
+    `).get(gatewayId, gatewayId);
+
+    if (!reading) {
+      return res.status(404).json({ error: 'No weather station data yet' });
+    }
+
+    res.json(reading);
+  } catch (error) {
+    console.error('Error fetching weather station reading:', error);
+    res.status(500).json({ error: 'Failed to fetch weather station data' });
+  }
+});
+
+// Get weather station history (?hours=24&gateway_id=)
+router.get('/station/history', (req, res) => {
+  try {
+    const hours = parseInt(req.query.hours) || 24;
+    const gatewayId = req.query.gateway_id || null;
+
+    const readings = db.prepare(`
+      SELECT * FROM weather_station_readings
+      WHERE timestamp > datetime('now', ?)
+        AND (? IS NULL OR gateway_id = ?)
+      ORDER BY timestamp ASC
+    `).all(`-${hours} hours`, gatewayId, gatewayId);
+
+    res.json(readings);
+  } catch (error) {
+    console.error('Error fetching weather station history:', error);
+    res.status(500).json({ error: 'Failed to fetch weather station history' });
+  }
+});
+
 // WMO Weather interpretation codes
 function getWeatherDescription(code) {
   const descriptions = {
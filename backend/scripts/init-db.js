@@ -1,5 +1,6 @@
 const Database = require('better-sqlite3');
 const path = require('path');
+const { METRICS, buildReadingsViewSql } = require('../services/metrics');
 
 const dbPath = path.join(__dirname, '../data/garden.db');
 
@@ -15,24 +16,167 @@ const db = new Database(dbPath);
 // Enable foreign keys
 db.pragma('foreign_keys = ON');
 
+// The old weather cache had one slot per data type. It only holds cached API
+// responses, so it's simply replaced by the keyed table.
+const weatherCacheColumns = db.prepare('PRAGMA table_info(weather_cache)').all();
+if (weatherCacheColumns.length > 0 && !weatherCacheColumns.some(c => c.name === 'cache_key')) {
+  db.exec('DROP TABLE weather_cache');
+  console.log('Replaced weather_cache with the keyed cache table');
+}
+
 // Create tables
 db.exec(`
-  -- Sensor readings from Ecowitt
-  CREATE TABLE IF NOT EXISTS sensor_readings (
+  -- Sensor readings: one observation per sensor report, with its values in
+  -- sensor_metrics (one row per metric). The sensor_readings view below puts
+  -- them back together with a column per metric.
+  CREATE TABLE IF NOT EXISTS sensor_observations (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     sensor_id TEXT NOT NULL,
     sensor_name TEXT,
-    sensor_type TEXT DEFAULT 'moisture', -- moisture, temperature, or combo
-    moisture_percent REAL,
-    temperature_f REAL,
+    sensor_type TEXT DEFAULT 'moisture', -- moisture, temperature, air, leaf_wetness, air_quality, leak
     battery_status TEXT,
+    rejected INTEGER DEFAULT 0, -- failed ingest validation (kept for diagnostics, ignored elsewhere)
+    rejected_reason TEXT,
+    ingest_id INTEGER, -- ingest_log row the reading was parsed from
+    gateway_id INTEGER, -- gateway that sent the reading
+    rolled_up INTEGER DEFAULT 0, -- counted in sensor_readings_hourly (raw rows are only purged once they are)
     timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
   );
 
-  CREATE INDEX IF NOT EXISTS idx_sensor_readings_timestamp
-    ON sensor_readings(timestamp DESC);
-  CREATE INDEX IF NOT EXISTS idx_sensor_readings_sensor_id
-    ON sensor_readings(sensor_id);
+  CREATE INDEX IF NOT EXISTS idx_sensor_observations_timestamp
+    ON sensor_observations(timestamp DESC);
+  CREATE INDEX IF NOT EXISTS idx_sensor_observations_sensor
+    ON sensor_observations(sensor_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_sensor_observations_ingest
+    ON sensor_observations(ingest_id);
+
+  CREATE TABLE IF NOT EXISTS sensor_metrics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    observation_id INTEGER NOT NULL,
+    sensor_id TEXT NOT NULL,
+    metric TEXT NOT NULL, -- see services/metrics.js
+    value REAL,
+    unit TEXT,
+    timestamp DATETIME NOT NULL,
+    FOREIGN KEY (observation_id) REFERENCES sensor_observations(id) ON DELETE CASCADE
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_sensor_metrics_observation
+    ON sensor_metrics(observation_id, metric);
+  CREATE INDEX IF NOT EXISTS idx_sensor_metrics_sensor
+    ON sensor_metrics(sensor_id, metric, timestamp);
+
+  -- Soil moisture calibration curves (raw AD or raw percent -> volumetric water content)
+  CREATE TABLE IF NOT EXISTS sensor_calibrations (
+    sensor_id TEXT PRIMARY KEY,
+    input TEXT NOT NULL DEFAULT 'percent', -- ad, percent
+    points JSON NOT NULL, -- [{ "raw": 70, "vwc": 0 }, { "raw": 420, "vwc": 100 }]
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Hourly and daily sensor rollups (raw readings are purged after raw_retention_days).
+  -- Every metric in services/metrics.js gets <metric>_min/_max/_avg columns, added below.
+  CREATE TABLE IF NOT EXISTS sensor_readings_hourly (
+    sensor_id TEXT NOT NULL,
+    bucket_start DATETIME NOT NULL, -- start of the hour (UTC)
+    sensor_type TEXT,
+    moisture_min REAL,
+    moisture_max REAL,
+    moisture_avg REAL,
+    temperature_min REAL,
+    temperature_max REAL,
+    temperature_avg REAL,
+    sample_count INTEGER NOT NULL,
+    PRIMARY KEY (sensor_id, bucket_start)
+  );
+
+  CREATE TABLE IF NOT EXISTS sensor_readings_daily (
+    sensor_id TEXT NOT NULL,
+    bucket_start DATETIME NOT NULL, -- start of the day (UTC)
+    sensor_type TEXT,
+    moisture_min REAL,
+    moisture_max REAL,
+    moisture_avg REAL,
+    temperature_min REAL,
+    temperature_max REAL,
+    temperature_avg REAL,
+    sample_count INTEGER NOT NULL,
+    PRIMARY KEY (sensor_id, bucket_start)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sensor_readings_hourly_bucket
+    ON sensor_readings_hourly(bucket_start);
+  CREATE INDEX IF NOT EXISTS idx_sensor_readings_daily_bucket
+    ON sensor_readings_daily(bucket_start);
+
+  -- Weather station readings from the gateway (outdoor/indoor sensors, rain, wind, solar)
+  CREATE TABLE IF NOT EXISTS weather_station_readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    temperature_f REAL,
+    humidity REAL,
+    indoor_temperature_f REAL,
+    indoor_humidity REAL,
+    rain_rate_in REAL, -- inches per hour
+    event_rain_in REAL,
+    hourly_rain_in REAL,
+    daily_rain_in REAL,
+    wind_speed_mph REAL,
+    wind_gust_mph REAL,
+    wind_direction REAL, -- degrees
+    solar_radiation REAL, -- W/m2
+    uv REAL,
+    barometer_rel_in REAL, -- inHg
+    barometer_abs_in REAL,
+    ingest_id INTEGER,
+    gateway_id INTEGER,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- Raw webhook payloads, kept for debugging and replay (purged after ingest_log_retention_days)
+  CREATE TABLE IF NOT EXISTS ingest_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL, -- ecowitt
+    source_ip TEXT,
+    gateway_id INTEGER, -- registered gateway that sent it, if recognized
+    device_id INTEGER, -- JSON ingest device that sent it (replays keep its ownership checks)
+    payload JSON NOT NULL,
+    status TEXT DEFAULT 'received', -- received, ok, error, quarantined, rejected, ignored (webhook while polling)
+    result JSON, -- reading counts, or the error message
+    received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_ingest_log_received
+    ON ingest_log(received_at DESC);
+
+  -- Gateways allowed to post readings, identified by their PASSKEY (or MAC)
+  CREATE TABLE IF NOT EXISTS gateways (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    passkey TEXT UNIQUE,
+    mac TEXT UNIQUE,
+    approved INTEGER DEFAULT 0, -- unapproved gateways are quarantined
+    is_default INTEGER DEFAULT 0, -- its sensors keep un-prefixed ids (soil_moisture_1)
+    model TEXT, -- e.g. GW3000A
+    stationtype TEXT, -- firmware, e.g. GW3000A_V1.0.5
+    freq TEXT, -- radio band, e.g. 915M
+    last_ip TEXT,
+    last_post_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  -- DIY devices allowed to use the JSON ingest API, each with its own token
+  CREATE TABLE IF NOT EXISTS devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the API token (the token itself is only shown once)
+    token_hint TEXT, -- last 4 characters, to tell tokens apart
+    last_ip TEXT,
+    last_used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_weather_station_readings_timestamp
+    ON weather_station_readings(timestamp DESC);
 
   -- Alert configuration
   CREATE TABLE IF NOT EXISTS alert_settings (
@@ -105,6 +249,7 @@ db.exec(`
     completed_at DATETIME,
     plant_id INTEGER,
     planting_id INTEGER,
+    due_notified_on DATE, -- due_date a task-due event was last published for
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (plant_id) REFERENCES plants(id),
     FOREIGN KEY (planting_id) REFERENCES plantings(id)
@@ -113,12 +258,16 @@ db.exec(`
   CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(due_date);
   CREATE INDEX IF NOT EXISTS idx_tasks_completed ON tasks(completed_at);
 
-  -- Weather cache (from Open-Meteo)
+  -- Weather API responses, keyed by provider, endpoint, rounded location and requested fields
   CREATE TABLE IF NOT EXISTS weather_cache (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    data_type TEXT NOT NULL, -- current, forecast, historical
+    cache_key TEXT PRIMARY KEY, -- see services/weatherCache.js
+    provider TEXT NOT NULL, -- open-meteo, nws, mock
+    endpoint TEXT NOT NULL, -- current, hourly, daily
+    lat REAL,
+    lon REAL,
     data JSON NOT NULL,
-    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL
   );
 
   -- Raised beds with grid dimensions
@@ -150,6 +299,45 @@ db.exec(`
 
   CREATE INDEX IF NOT EXISTS idx_bed_placements_bed ON bed_placements(bed_id);
 
+  -- Sensor registry (user-defined names, hardware details and location)
+  CREATE TABLE IF NOT EXISTS sensors (
+    sensor_id TEXT PRIMARY KEY, -- matches sensor_observations.sensor_id
+    name TEXT NOT NULL, -- display name, e.g. "Tomato bed, north end"
+    sensor_type TEXT, -- moisture, temperature, air, leaf_wetness, air_quality, leak
+    model TEXT, -- WH51, WN34, etc.
+    install_date DATE,
+    depth_inches REAL,
+    bed_id INTEGER,
+    bed_row INTEGER, -- cell within the bed grid
+    bed_col INTEGER,
+    notes TEXT,
+    gateway_id INTEGER, -- gateway the channel belongs to
+    device_id INTEGER, -- or the JSON ingest device that reports it
+    channel INTEGER, -- channel number on that gateway
+    last_seen DATETIME, -- timestamp of the latest reading
+    status TEXT DEFAULT 'online', -- online, stale (silent longer than stale_sensor_minutes)
+    status_changed_at DATETIME,
+    battery_low INTEGER DEFAULT 0,
+    battery_low_alerted INTEGER DEFAULT 0, -- low battery alert already sent for this battery
+    battery_replaced_at DATE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (bed_id) REFERENCES beds(id) ON DELETE SET NULL
+  );
+
+  -- Normalized battery history, at most one row per sensor per hour
+  CREATE TABLE IF NOT EXISTS battery_readings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    sensor_id TEXT NOT NULL,
+    kind TEXT NOT NULL, -- voltage, level, binary
+    value REAL, -- volts, level 0-5, or 1 for low / 0 for ok
+    percent REAL, -- estimated charge, null for binary batteries
+    low INTEGER DEFAULT 0,
+    timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_battery_readings_sensor
+    ON battery_readings(sensor_id, timestamp);
+
   -- Companion planting relationships
   CREATE TABLE IF NOT EXISTS companion_relationships (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -167,8 +355,190 @@ db.exec(`
   CREATE UNIQUE INDEX IF NOT EXISTS idx_companion_unique ON companion_relationships(plant_name_a, plant_name_b);
 `);
 
+// Add a column to an existing table. CREATE TABLE IF NOT EXISTS leaves tables
+// from older installs untouched, so new columns are added here as well.
+// Returns whether the column was added.
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  console.log(`Added column ${table}.${column}`);
+  return true;
+}
+
+// Installs from before the long-format tables still have sensor_readings as a
+// table with a column per value. Bring it up to date so it can be migrated below.
+const legacyReadings = !!db.prepare(`
+  SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'sensor_readings'
+`).get();
+
+if (legacyReadings) {
+  addColumnIfMissing('sensor_readings', 'moisture_raw_percent', 'REAL');
+  addColumnIfMissing('sensor_readings', 'soil_ad', 'INTEGER');
+  addColumnIfMissing('sensor_readings', 'humidity', 'REAL');
+  addColumnIfMissing('sensor_readings', 'leaf_wetness_percent', 'REAL');
+  addColumnIfMissing('sensor_readings', 'co2_ppm', 'REAL');
+  addColumnIfMissing('sensor_readings', 'pm25', 'REAL');
+  addColumnIfMissing('sensor_readings', 'pm10', 'REAL');
+  addColumnIfMissing('sensor_readings', 'leak', 'INTEGER');
+  addColumnIfMissing('sensor_readings', 'rejected', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('sensor_readings', 'rejected_reason', 'TEXT');
+  addColumnIfMissing('sensor_readings', 'ingest_id', 'INTEGER');
+  addColumnIfMissing('sensor_readings', 'gateway_id', 'INTEGER');
+
+  // Readings stored before calibration support are their own raw values
+  db.exec(`
+    UPDATE sensor_readings SET moisture_raw_percent = moisture_percent
+    WHERE moisture_raw_percent IS NULL AND moisture_percent IS NOT NULL
+  `);
+}
+
+addColumnIfMissing('weather_station_readings', 'ingest_id', 'INTEGER');
+addColumnIfMissing('weather_station_readings', 'gateway_id', 'INTEGER');
+addColumnIfMissing('ingest_log', 'gateway_id', 'INTEGER');
+addColumnIfMissing('ingest_log', 'device_id', 'INTEGER');
+addColumnIfMissing('gateways', 'is_default', 'INTEGER DEFAULT 0');
+addColumnIfMissing('gateways', 'model', 'TEXT');
+addColumnIfMissing('gateways', 'stationtype', 'TEXT');
+addColumnIfMissing('gateways', 'freq', 'TEXT');
+addColumnIfMissing('gateways', 'last_post_at', 'DATETIME');
+addColumnIfMissing('sensors', 'gateway_id', 'INTEGER');
+addColumnIfMissing('sensors', 'channel', 'INTEGER');
+addColumnIfMissing('sensors', 'device_id', 'INTEGER');
+addColumnIfMissing('tasks', 'due_notified_on', 'DATE');
+
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_weather_station_readings_ingest ON weather_station_readings(ingest_id);
+`);
+addColumnIfMissing('sensors', 'last_seen', 'DATETIME');
+addColumnIfMissing('sensors', 'status', "TEXT DEFAULT 'online'");
+addColumnIfMissing('sensors', 'status_changed_at', 'DATETIME');
+addColumnIfMissing('sensors', 'battery_low', 'INTEGER DEFAULT 0');
+addColumnIfMissing('sensors', 'battery_low_alerted', 'INTEGER DEFAULT 0');
+addColumnIfMissing('sensors', 'battery_replaced_at', 'DATE');
+
+for (const table of ['sensor_readings_hourly', 'sensor_readings_daily']) {
+  for (const metric of Object.keys(METRICS)) {
+    addColumnIfMissing(table, `${metric}_min`, 'REAL');
+    addColumnIfMissing(table, `${metric}_max`, 'REAL');
+    addColumnIfMissing(table, `${metric}_avg`, 'REAL');
+  }
+}
+
+const addedRolledUp = addColumnIfMissing('sensor_observations', 'rolled_up', 'INTEGER DEFAULT 0');
+db.exec(`
+  CREATE INDEX IF NOT EXISTS idx_sensor_observations_pending
+    ON sensor_observations(id) WHERE rolled_up = 0;
+`);
+
+// Move readings from the old wide table into sensor_observations + sensor_metrics,
+// keeping their ids so ingest_log links and rejected-reading lookups still match
+if (legacyReadings) {
+  const migrate = db.transaction(() => {
+    const moved = db.prepare(`
+      INSERT INTO sensor_observations (
+        id, sensor_id, sensor_name, sensor_type, battery_status,
+        rejected, rejected_reason, ingest_id, gateway_id, timestamp
+      )
+      SELECT
+        id, sensor_id, sensor_name, sensor_type, battery_status,
+        COALESCE(rejected, 0), rejected_reason, ingest_id, gateway_id, timestamp
+      FROM sensor_readings
+    `).run().changes;
+
+    const columns = db.prepare('PRAGMA table_info(sensor_readings)').all().map(c => c.name);
+    for (const [metric, { column, unit }] of Object.entries(METRICS)) {
+      if (!columns.includes(column)) continue;
+      db.prepare(`
+        INSERT INTO sensor_metrics (observation_id, sensor_id, metric, value, unit, timestamp)
+        SELECT id, sensor_id, ?, ${column}, ?, timestamp
+        FROM sensor_readings
+        WHERE ${column} IS NOT NULL
+      `).run(metric, unit);
+    }
+
+    db.exec('DROP TABLE sensor_readings');
+    return moved;
+  });
+  console.log('Moved', migrate(), 'readings to sensor_observations + sensor_metrics');
+}
+
+// Rebuilt every time so metrics added to services/metrics.js show up as columns
+db.exec('DROP VIEW IF EXISTS sensor_readings');
+db.exec(buildReadingsViewSql());
+
+// Rollups used to run from the newest hourly bucket onwards. Readings before it
+// are already counted; the newest bucket is dropped so the next rollup rebuilds
+// it (and its day) from its raw readings.
+if (addedRolledUp || legacyReadings) {
+  const { latest } = db.prepare('SELECT MAX(bucket_start) as latest FROM sensor_readings_hourly').get();
+  if (latest) {
+    db.prepare('UPDATE sensor_observations SET rolled_up = 1 WHERE timestamp < ?').run(latest);
+    db.prepare('DELETE FROM sensor_readings_hourly WHERE bucket_start >= ?').run(latest);
+  }
+}
+
 console.log('Database initialized at:', dbPath);
 
+// Register sensors that already have readings so existing installs keep their channels
+const registered = db.prepare(`
+  INSERT OR IGNORE INTO sensors (sensor_id, name, sensor_type, model)
+  SELECT
+    sensor_id,
+    MAX(sensor_name),
+    MAX(sensor_type),
+    CASE MAX(sensor_type) WHEN 'moisture' THEN 'WH51' WHEN 'temperature' THEN 'WN34' END
+  FROM sensor_readings
+  GROUP BY sensor_id
+`).run();
+console.log('Registered', registered.changes, 'existing sensors');
+
+db.exec(`
+  UPDATE sensors SET last_seen = (
+    SELECT MAX(timestamp) FROM sensor_readings WHERE sensor_readings.sensor_id = sensors.sensor_id
+  )
+  WHERE last_seen IS NULL
+`);
+
+// Assign sensors and readings from before multi-gateway support to a default
+// gateway. If no gateway has posted yet, a placeholder is created; the first
+// gateway to post takes it over (see services/gateways.js).
+const unassigned = db.prepare(`
+  SELECT
+    (SELECT COUNT(*) FROM sensors WHERE gateway_id IS NULL) +
+    (SELECT COUNT(*) FROM sensor_observations WHERE gateway_id IS NULL) as count
+`).get().count;
+
+if (unassigned > 0) {
+  let defaultGateway = db.prepare('SELECT id FROM gateways WHERE is_default = 1').get() ||
+    db.prepare('SELECT id FROM gateways WHERE approved = 1 ORDER BY id LIMIT 1').get();
+
+  if (!defaultGateway) {
+    const id = db.prepare(`
+      INSERT INTO gateways (name, approved, is_default) VALUES ('Default gateway', 1, 1)
+    `).run().lastInsertRowid;
+    defaultGateway = { id };
+  }
+
+  db.prepare('UPDATE gateways SET is_default = 1 WHERE id = ?').run(defaultGateway.id);
+  for (const table of ['sensors', 'sensor_observations', 'weather_station_readings']) {
+    db.prepare(`UPDATE ${table} SET gateway_id = ? WHERE gateway_id IS NULL`).run(defaultGateway.id);
+  }
+  db.prepare(`
+    UPDATE ingest_log SET gateway_id = ?
+    WHERE gateway_id IS NULL AND status NOT IN ('quarantined', 'rejected')
+  `).run(defaultGateway.id);
+  console.log('Assigned existing sensors and readings to gateway', defaultGateway.id);
+}
+
+// Channel numbers for sensors registered before they were stored
+const setChannel = db.prepare('UPDATE sensors SET channel = ? WHERE sensor_id = ?');
+for (const { sensor_id } of db.prepare('SELECT sensor_id FROM sensors WHERE channel IS NULL').all()) {
+  const match = sensor_id.match(/_(\d+)$/);
+  if (match) setChannel.run(parseInt(match[1]), sensor_id);
+}
+
 // Data sources for plant information (Zone 10a - Los Angeles County / La Cañada Flintridge area):
 // - UC Master Gardener Time of Planting (South Coast): https://ucanr.edu/program/uc-master-gardener-program/time-planting
 // - UC Master Gardeners of Los Angeles County: https://ucanr.edu/county/los-angeles-county/gardening-uc-master-gardener-program
@@ -1035,9 +1405,10 @@ const insertCompanions = db.transaction((companions) => {
 insertCompanions(companionRelationships);
 console.log('Seeded', companionRelationships.length, 'companion planting relationships');
 
-// Seed default alert settings
+// Seed default alert settings. Settings already present are left alone, so
+// re-running init-db to migrate an install keeps its configuration.
 const seedSetting = db.prepare(`
-  INSERT OR REPLACE INTO alert_settings (key, value) VALUES (?, ?)
+  INSERT OR IGNORE INTO alert_settings (key, value) VALUES (?, ?)
 `);
 
 const alertSettings = [
@@ -1083,7 +1454,60 @@ const alertSettings = [
   })],
 
   // Default profile for sensors not assigned to a bed
-  ['default_profile', 'warm_season']
+  ['default_profile', 'warm_season'],
+
+  // Days to keep raw sensor readings before relying on hourly/daily rollups
+  ['raw_retention_days', '30'],
+
+  // Minutes without a reading before a sensor is marked stale and an offline alert is sent
+  ['stale_sensor_minutes', '30'],
+
+  // Ingest validation (JSON): physical bounds and max change per minute for each reading type,
+  // plus how many recent accepted readings alerts take the median of (1 = no smoothing)
+  ['reading_validation', JSON.stringify({
+    moisture: { min: 0, max: 100, max_change_per_minute: 15 },
+    temperature: { min: -20, max: 130, max_change_per_minute: 3 },
+    air: { min: -39.9, max: 140, max_change_per_minute: 3 },
+    probe: { min: -40, max: 200, max_change_per_minute: 3 },
+    leaf_wetness: { min: 0, max: 100, max_change_per_minute: 100 },
+    air_quality: { min: 300, max: 10000, max_change_per_minute: 500 },
+    median_window: 3
+  })],
+
+  // Days to keep raw webhook payloads in ingest_log for browsing and replay
+  ['ingest_log_retention_days', '14'],
+
+  // What to do with posts from gateways that aren't approved:
+  // quarantine (archive, don't parse, list for approval), reject (403), or allow
+  ['unknown_gateway_policy', 'quarantine'],
+
+  // How readings arrive: push (gateway posts to /api/sensors/ecowitt) or
+  // poll (fetch get_livedata_info from the gateway's local API every ecowitt_poll_seconds)
+  ['ecowitt_mode', 'push'],
+  ['ecowitt_gateway_host', ''], // e.g. 192.168.1.50
+  ['ecowitt_poll_seconds', '60'],
+
+  // MQTT bridge: publish readings, alerts and due tasks, and take readings from
+  // other devices on mqtt_subscribe_topics (comma-separated, wildcards allowed).
+  // Topics can use {sensor_id}, {alert_type} and {task_id}.
+  ['mqtt_enabled', 'false'],
+  ['mqtt_url', 'mqtt://localhost:1883'],
+  ['mqtt_username', ''],
+  ['mqtt_password', ''],
+  ['mqtt_client_id', ''], // random when empty
+  ['mqtt_reading_topic', 'garden/readings/{sensor_id}'],
+  ['mqtt_alert_topic', 'garden/alerts/{alert_type}'],
+  ['mqtt_task_topic', 'garden/tasks/due'],
+  ['mqtt_subscribe_topics', ''],
+
+  // Home Assistant MQTT discovery for beds and due tasks (needs the MQTT bridge)
+  ['ha_discovery_enabled', 'false'],
+  ['ha_discovery_prefix', 'homeassistant'],
+  ['ha_state_topic', 'garden/ha'],
+
+  // Weather providers to try in order (open-meteo, nws, mock). nws covers the US only;
+  // mock serves made-up data for working offline.
+  ['weather_providers', 'open-meteo,nws']
 ];
 
 const insertSettings = db.transaction((settings) => {
@@ -1095,5 +1519,21 @@ const insertSettings = db.transaction((settings) => {
 insertSettings(alertSettings);
 console.log('Seeded alert settings with ntfy configuration');
 
+// Validation bounds still at the first release's defaults get the current ones:
+// 1-99% moisture rejected the calibration wizard's dry and wet captures, and
+// -40°F let disconnected air probes through. Edited bounds are kept.
+const FIRST_VALIDATION_DEFAULTS = JSON.stringify({
+  moisture: { min: 1, max: 99, max_change_per_minute: 15 },
+  temperature: { min: -20, max: 130, max_change_per_minute: 3 },
+  air: { min: -40, max: 140, max_change_per_minute: 3 },
+  leaf_wetness: { min: 0, max: 100, max_change_per_minute: 100 },
+  air_quality: { min: 300, max: 10000, max_change_per_minute: 500 },
+  median_window: 3
+});
+const currentValidation = alertSettings.find(([key]) => key === 'reading_validation')[1];
+db.prepare(`
+  UPDATE alert_settings SET value = ? WHERE key = 'reading_validation' AND value = ?
+`).run(currentValidation, FIRST_VALIDATION_DEFAULTS);
+
 db.close();
 console.log('Database setup complete!');
@@ -0,0 +1,61 @@
+// Re-run archived webhook payloads through the parsing pipeline, e.g. after a
+// parser fix or calibration change. Readings from each payload are replaced.
+//
+// Usage:
+//   node scripts/replay-ingest.js --from 2026-05-01 --to 2026-05-02
+//   node scripts/replay-ingest.js --id 123 --id 124
+//   node scripts/replay-ingest.js --all --dry-run
+const { replayIngestLog } = require('../services/ingestLog');
+const { toSqliteTime } = require('../services/history');
+
+function parseArgs(argv) {
+  const options = { ids: [], from: null, to: null, all: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--id') options.ids.push(parseInt(argv[++i]));
+    else if (arg === '--from') options.from = argv[++i];
+    else if (arg === '--to') options.to = argv[++i];
+    else if (arg === '--all') options.all = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  return options;
+}
+
+function toTimestamp(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid --${name} timestamp: ${value}`);
+  return toSqliteTime(date);
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.ids.some(id => !Number.isInteger(id))) {
+    throw new Error('--id must be a number');
+  }
+  if (options.ids.length === 0 && !options.from && !options.to && !options.all) {
+    throw new Error('Pass --id, --from/--to or --all to choose payloads to replay');
+  }
+
+  const summary = replayIngestLog({
+    ids: options.ids.length > 0 ? options.ids : null,
+    from: toTimestamp(options.from, 'from'),
+    to: toTimestamp(options.to, 'to'),
+    dryRun: options.dryRun
+  });
+
+  if (options.dryRun) {
+    console.log(`Would replay ${summary.entries} payloads`);
+  } else {
+    console.log(`Replayed ${summary.replayed} of ${summary.entries} payloads: ` +
+      `${summary.readings} readings (${summary.rejected} rejected) across ${summary.sensors || 0} sensors` +
+      (summary.skipped ? `, ${summary.skipped} skipped` : ''));
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
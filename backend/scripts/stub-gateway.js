@@ -0,0 +1,58 @@
+// Stand-in for an Ecowitt gateway's local HTTP API, for testing polling mode
+// without hardware. Serves GET /get_livedata_info with slowly drifting values.
+//
+// Usage:
+//   node scripts/stub-gateway.js [port]   (default 8080)
+// then set ecowitt_mode = 'poll' and ecowitt_gateway_host = 'localhost:8080'
+const http = require('http');
+
+const port = parseInt(process.argv[2]) || 8080;
+const started = Date.now();
+
+// Values wander a little on every request so charts have something to show
+function drift(base, range) {
+  const minutes = (Date.now() - started) / 60000;
+  return (base + Math.sin(minutes / 10) * range).toFixed(1);
+}
+
+function liveData() {
+  return {
+    common_list: [
+      { id: '0x02', val: drift(21, 3), unit: 'C' },
+      { id: '0x07', val: `${Math.round(drift(55, 10))}%` },
+      { id: '0x0A', val: '225' },
+      { id: '0x0B', val: `${drift(2, 1)} m/s` },
+      { id: '0x0C', val: `${drift(4, 2)} m/s` },
+      { id: '0x15', val: '412.5 W/m2' },
+      { id: '0x17', val: '4' }
+    ],
+    rain: [
+      { id: '0x0D', val: '0.0 mm' },
+      { id: '0x0E', val: '0.0 mm/Hr' },
+      { id: '0x0F', val: '0.0 mm' },
+      { id: '0x10', val: '1.2 mm' }
+    ],
+    wh25: [{ intemp: '22.4', unit: 'C', inhumi: '48%', abs: '1008.1 hPa', rel: '1013.6 hPa' }],
+    ch_soil: [
+      { channel: '1', name: '', battery: '5', humidity: `${Math.round(drift(42, 5))}%` },
+      { channel: '2', name: '', battery: '4', humidity: `${Math.round(drift(30, 5))}%` }
+    ],
+    ch_temp: [{ channel: '1', name: '', temp: drift(18, 1), unit: 'C', battery: '5' }],
+    ch_aisle: [{ channel: '1', name: '', battery: '0', temp: drift(20, 2), unit: 'C', humidity: '61%' }],
+    ch_leak: [{ channel: '1', name: '', battery: '5', status: 'Normal' }]
+  };
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url.startsWith('/get_livedata_info')) {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(liveData()));
+    return;
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+server.listen(port, () => {
+  console.log(`Stub Ecowitt gateway serving http://localhost:${port}/get_livedata_info`);
+});
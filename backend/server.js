@@ -7,6 +7,19 @@ const plantRoutes = require('./routes/plants');
 const taskRoutes = require('./routes/tasks');
 const weatherRoutes = require('./routes/weather');
 const bedRoutes = require('./routes/beds');
+const alertRoutes = require('./routes/alerts');
+const eventRoutes = require('./routes/events');
+const ingestRoutes = require('./routes/ingest');
+const gatewayRoutes = require('./routes/gateways');
+const deviceRoutes = require('./routes/devices');
+const mqttRoutes = require('./routes/mqtt');
+const { startRollupScheduler } = require('./services/rollups');
+const { startSensorHealthMonitor } = require('./services/sensorHealth');
+const { startIngestLogCleanup } = require('./services/ingestLog');
+const { startEcowittPoller } = require('./services/ecowittPoller');
+const { startTaskDueMonitor } = require('./services/taskReminders');
+const { startMqttBridge } = require('./services/mqtt');
+const { startWeatherPrefetch } = require('./services/weatherPrefetch');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -17,11 +30,24 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true })); // Ecowitt sends form-encoded data
 
 // API Routes
+// Stations that can only change the Wunderground upload host send to the
+// standard path; hand those requests to the sensors router
+app.get('/weatherstation/updateweatherstation.php', (req, res, next) => {
+  req.url = req.url.replace('/weatherstation/updateweatherstation.php', '/api/sensors/wunderground');
+  next();
+});
+
 app.use('/api/sensors', sensorRoutes);
 app.use('/api/plants', plantRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/weather', weatherRoutes);
 app.use('/api/beds', bedRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/gateways', gatewayRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/mqtt', mqttRoutes);
 
 // Serve static frontend in production
 app.use(express.static(path.join(__dirname, '../frontend/dist')));
@@ -42,4 +68,13 @@ app.use((err, req, res, next) => {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Garden Dashboard running at http://localhost:${PORT}`);
   console.log(`Ecowitt webhook endpoint: http://<your-pi-ip>:${PORT}/api/sensors/ecowitt`);
+
+  // Background jobs
+  startRollupScheduler();
+  startSensorHealthMonitor();
+  startIngestLogCleanup();
+  startEcowittPoller();
+  startMqttBridge();
+  startTaskDueMonitor();
+  startWeatherPrefetch().catch(error => console.error('Error starting weather prefetch:', error));
 });
@@ -1,4 +1,6 @@
 const db = require('../models/db');
+const { getSensorLabel } = require('./sensors');
+const { publish } = require('./events');
 
 // Get a setting from the database
 function getSetting(key) {
@@ -48,6 +50,8 @@ function recordAlert(sensorId, alertType, message) {
     INSERT INTO alert_history (sensor_id, alert_type, message)
     VALUES (?, ?, ?)
   `).run(sensorId, alertType, message);
+
+  publish('alert', { sensor_id: sensorId, alert_type: alertType, message });
 }
 
 // Send notification via ntfy
@@ -96,7 +100,9 @@ async function sendNtfyNotification(title, message, priority = 'default', tags =
 }
 
 // Check moisture reading and send alerts if needed
-async function checkMoistureAlert(sensorId, sensorName, moisturePercent) {
+async function checkMoistureAlert(sensorId, moisturePercent) {
+  const sensorName = getSensorLabel(sensorId);
+
   // Find bed associated with this sensor to get profile
   const bed = db.prepare('SELECT profile FROM beds WHERE sensor_id = ?').get(sensorId);
   const profileName = bed?.profile || getSetting('default_profile') || 'warm_season';
@@ -142,7 +148,9 @@ async function checkMoistureAlert(sensorId, sensorName, moisturePercent) {
 }
 
 // Check temperature reading and send alerts if needed
-async function checkTemperatureAlert(sensorId, sensorName, tempF) {
+async function checkTemperatureAlert(sensorId, tempF) {
+  const sensorName = getSensorLabel(sensorId);
+
   // Find bed associated with this sensor to get profile
   const bed = db.prepare('SELECT profile FROM beds WHERE temp_sensor_id = ?').get(sensorId);
   const profileName = bed?.profile || getSetting('default_profile') || 'warm_season';
@@ -197,5 +205,7 @@ module.exports = {
   checkMoistureAlert,
   checkTemperatureAlert,
   sendNtfyNotification,
-  getSetting
+  recordAlert,
+  getSetting,
+  getProfile
 };
@@ -0,0 +1,205 @@
+const db = require('../models/db');
+const { sendNtfyNotification, recordAlert } = require('./alerts');
+const { getSensorLabel } = require('./sensors');
+
+// How each sensor model reports its battery.
+// - voltage: volts, with the low-battery cutoff and a fresh battery's voltage
+// - level: 0-5 bars, low at or below `low`
+// - binary: Ecowitt's 0 = OK / 1 = low flag (WH31, and unknown models)
+const BATTERY_PROFILES = {
+  WH51: { kind: 'voltage', low: 1.2, full: 1.6 },
+  WN35: { kind: 'voltage', low: 1.2, full: 1.6 },
+  WN34: { kind: 'level', low: 1, full: 5 },
+  WH45: { kind: 'level', low: 1, full: 5 },
+  WH55: { kind: 'level', low: 1, full: 5 }
+};
+const BINARY_PROFILE = { kind: 'binary' };
+
+// DIY sensors (JSON ingest / MQTT) have no Ecowitt model; their battery profile
+// comes from the unit they send. Volts assume a single Li-ion cell, the usual
+// ESP32 supply.
+const DEVICE_BATTERY_PROFILES = {
+  V: { kind: 'voltage', low: 3.3, full: 4.2 },
+  level: { kind: 'level', low: 1, full: 5 }
+};
+
+// A jump this large between readings means the battery was swapped
+// (binary batteries count as swapped when they go from low back to OK)
+const REPLACEMENT_JUMP = { voltage: 0.15, level: 2 };
+
+const HISTORY_INTERVAL_MINUTES = 60;
+const TREND_DAYS = 60;
+
+// Profile for a sensor's battery: from the unit a DIY sensor reported it in,
+// otherwise from the sensor model
+function getProfile(model, unit = null) {
+  return DEVICE_BATTERY_PROFILES[unit] || BATTERY_PROFILES[model] || BINARY_PROFILE;
+}
+
+// Turn a reported battery value into { kind, value, percent, low }.
+// Returns null if the sensor didn't report a usable value.
+function normalizeBattery(model, rawValue, unit = null) {
+  const profile = getProfile(model, unit);
+  const text = String(rawValue ?? '').trim().toLowerCase();
+
+  if (text === 'low') return { kind: profile.kind, value: null, percent: null, low: true };
+  if (text === 'ok' || text === 'normal') return { kind: profile.kind, value: null, percent: null, low: false };
+
+  const value = parseFloat(text);
+  if (!Number.isFinite(value)) return null;
+
+  if (profile.kind === 'binary') {
+    return { kind: 'binary', value, percent: null, low: value >= 1 };
+  }
+
+  const empty = profile.kind === 'voltage' ? profile.low : 0;
+  const percent = Math.round(Math.min(100, Math.max(0, (value - empty) / (profile.full - empty) * 100)));
+  return { kind: profile.kind, value, percent, low: value <= profile.low };
+}
+
+// Record that a sensor's battery was replaced and re-arm its low battery alert
+function markBatteryReplaced(sensorId, date = null) {
+  db.prepare(`
+    UPDATE sensors SET
+      battery_replaced_at = COALESCE(?, date('now')),
+      battery_low_alerted = 0
+    WHERE sensor_id = ?
+  `).run(date, sensorId);
+}
+
+// Store a battery reading for a sensor and update its battery state.
+// History is thinned to one row per hour unless the low flag changes.
+// unit is the battery unit a DIY sensor sent ('V' or 'level'), null for gateway sensors.
+function recordBatteryReading(sensorId, rawValue, unit = null) {
+  const sensor = db.prepare('SELECT model, battery_low FROM sensors WHERE sensor_id = ?').get(sensorId);
+  if (!sensor) return null;
+
+  const battery = normalizeBattery(sensor.model, rawValue, unit);
+  if (!battery) return null;
+
+  const previous = db.prepare(`
+    SELECT value, low, timestamp >= datetime('now', ?) as recent
+    FROM battery_readings WHERE sensor_id = ?
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `).get(`-${HISTORY_INTERVAL_MINUTES} minutes`, sensorId);
+
+  const replaced = previous && (
+    (battery.kind === 'binary' && previous.low && !battery.low) ||
+    (REPLACEMENT_JUMP[battery.kind] && previous.value !== null && battery.value !== null &&
+      battery.value - previous.value >= REPLACEMENT_JUMP[battery.kind])
+  );
+  if (replaced) {
+    markBatteryReplaced(sensorId);
+  }
+
+  if (!previous || !previous.recent || replaced || !!previous.low !== battery.low) {
+    db.prepare(`
+      INSERT INTO battery_readings (sensor_id, kind, value, percent, low)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(sensorId, battery.kind, battery.value, battery.percent, battery.low ? 1 : 0);
+  }
+
+  db.prepare('UPDATE sensors SET battery_low = ? WHERE sensor_id = ?').run(battery.low ? 1 : 0, sensorId);
+
+  return battery;
+}
+
+// Estimate when a battery will reach its low cutoff from the trend since
+// it was last replaced. Returns a YYYY-MM-DD date, or null when the trend
+// is flat, rising, or there isn't enough history to tell.
+function estimateReplacementDate(sensorId) {
+  const sensor = db.prepare(`
+    SELECT model, device_id, battery_replaced_at FROM sensors WHERE sensor_id = ?
+  `).get(sensorId);
+  if (!sensor) return null;
+
+  // DIY sensors: the profile matching the kind of battery value last stored
+  const latest = sensor.device_id && db.prepare(`
+    SELECT kind FROM battery_readings WHERE sensor_id = ?
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `).get(sensorId);
+  const unit = latest && Object.keys(DEVICE_BATTERY_PROFILES)
+    .find(key => DEVICE_BATTERY_PROFILES[key].kind === latest.kind);
+  const profile = getProfile(sensor.model, unit);
+  if (profile.kind === 'binary') return null;
+
+  const rows = db.prepare(`
+    SELECT value, CAST(strftime('%s', timestamp) AS INTEGER) as epoch
+    FROM battery_readings
+    WHERE sensor_id = ?
+      AND value IS NOT NULL
+      AND timestamp >= datetime('now', ?)
+      AND (? IS NULL OR timestamp >= ?)
+    ORDER BY timestamp ASC
+  `).all(sensorId, `-${TREND_DAYS} days`, sensor.battery_replaced_at, sensor.battery_replaced_at);
+
+  if (rows.length < 3) return null;
+
+  const days = rows.map(r => r.epoch / 86400);
+  if (days[days.length - 1] - days[0] < 2) return null;
+
+  // Least-squares slope of value per day
+  const meanX = days.reduce((a, b) => a + b, 0) / rows.length;
+  const meanY = rows.reduce((a, r) => a + r.value, 0) / rows.length;
+  let num = 0;
+  let den = 0;
+  rows.forEach((r, i) => {
+    num += (days[i] - meanX) * (r.value - meanY);
+    den += (days[i] - meanX) ** 2;
+  });
+  const slope = num / den;
+  if (!(slope < 0)) return null;
+
+  // Days from the fitted line's latest point down to the cutoff
+  const lastDay = days[days.length - 1];
+  const fitted = meanY + slope * (lastDay - meanX);
+  const daysLeft = Math.max(0, (fitted - profile.low) / -slope);
+
+  return new Date((lastDay + daysLeft) * 86400 * 1000).toISOString().slice(0, 10);
+}
+
+// Send a one-shot low battery alert. It won't repeat until the battery is replaced.
+async function checkBatteryAlert(sensorId) {
+  const sensor = db.prepare(`
+    SELECT battery_low, battery_low_alerted FROM sensors WHERE sensor_id = ?
+  `).get(sensorId);
+  if (!sensor || !sensor.battery_low || sensor.battery_low_alerted) return;
+
+  const message = 'Battery is low. Replace it soon to avoid gaps in readings.';
+  const sent = await sendNtfyNotification(`${getSensorLabel(sensorId)}: Low Battery`, message, 'default', ['battery']);
+  if (sent) {
+    db.prepare('UPDATE sensors SET battery_low_alerted = 1 WHERE sensor_id = ?').run(sensorId);
+    recordAlert(sensorId, 'battery_low', message);
+  }
+}
+
+// Battery state for every registered sensor, for the maintenance view
+function getBatteryOverview() {
+  const sensors = db.prepare(`
+    SELECT
+      s.sensor_id, s.name as sensor_name, s.sensor_type, s.model,
+      s.battery_low, s.battery_replaced_at,
+      b.kind, b.value, b.percent, b.timestamp
+    FROM sensors s
+    LEFT JOIN battery_readings b ON b.id = (
+      SELECT id FROM battery_readings WHERE sensor_id = s.sensor_id
+      ORDER BY timestamp DESC, id DESC LIMIT 1
+    )
+    ORDER BY s.battery_low DESC, s.sensor_id
+  `).all();
+
+  return sensors.map(sensor => ({
+    ...sensor,
+    battery_low: !!sensor.battery_low,
+    estimated_replacement: estimateReplacementDate(sensor.sensor_id)
+  }));
+}
+
+module.exports = {
+  normalizeBattery,
+  recordBatteryReading,
+  markBatteryReplaced,
+  estimateReplacementDate,
+  checkBatteryAlert,
+  getBatteryOverview
+};
@@ -0,0 +1,109 @@
+const db = require('../models/db');
+const { rebuildSensorRollups } = require('./rollups');
+
+const INPUTS = ['ad', 'percent'];
+
+// Get a sensor's calibration curve, or null if it reads uncalibrated
+function getCalibration(sensorId) {
+  const row = db.prepare('SELECT * FROM sensor_calibrations WHERE sensor_id = ?').get(sensorId);
+  if (!row) return null;
+  return { ...row, points: JSON.parse(row.points) };
+}
+
+// Check a calibration before saving it.
+// Returns an error message, or null if the calibration is usable.
+function validateCalibration({ input, points }) {
+  if (!INPUTS.includes(input)) {
+    return `input must be one of: ${INPUTS.join(', ')}`;
+  }
+  if (!Array.isArray(points) || points.length < 2) {
+    return 'At least two calibration points are required';
+  }
+
+  for (const point of points) {
+    if (!Number.isFinite(point.raw) || !Number.isFinite(point.vwc)) {
+      return 'Each point needs numeric raw and vwc values';
+    }
+    if (point.vwc < 0 || point.vwc > 100) {
+      return 'vwc must be between 0 and 100';
+    }
+  }
+
+  const raws = new Set(points.map(p => p.raw));
+  if (raws.size !== points.length) {
+    return 'Calibration points must have distinct raw values';
+  }
+
+  return null;
+}
+
+// Piecewise-linear interpolation along the calibration points.
+// Raw values outside the captured range extend the nearest segment; the result is clamped to 0-100.
+function applyCurve(points, raw) {
+  const sorted = [...points].sort((a, b) => a.raw - b.raw);
+
+  let lower = sorted[0];
+  let upper = sorted[1];
+  for (let i = 1; i < sorted.length - 1 && raw > sorted[i].raw; i++) {
+    lower = sorted[i];
+    upper = sorted[i + 1];
+  }
+
+  const vwc = lower.vwc + (raw - lower.raw) * (upper.vwc - lower.vwc) / (upper.raw - lower.raw);
+  return Math.round(Math.min(100, Math.max(0, vwc)) * 10) / 10;
+}
+
+// Convert a raw reading to calibrated moisture using the given calibration.
+// Falls back to the gateway's percentage when there's no curve or the AD value is missing.
+function applyCalibration(calibration, rawPercent, soilAd) {
+  if (!calibration) return rawPercent;
+
+  const raw = calibration.input === 'ad' ? soilAd : rawPercent;
+  if (raw === null || raw === undefined || !Number.isFinite(raw)) return rawPercent;
+
+  return applyCurve(calibration.points, raw);
+}
+
+// Calibrated moisture for a sensor's raw reading
+function calibrateMoisture(sensorId, rawPercent, soilAd) {
+  return applyCalibration(getCalibration(sensorId), rawPercent, soilAd);
+}
+
+// Recompute stored moisture from the raw columns after a calibration change,
+// then rebuild the affected rollups. Readings already purged past the raw
+// retention window keep their old rollup values.
+function recomputeReadings(sensorId, since = null) {
+  const calibration = getCalibration(sensorId);
+
+  const readings = db.prepare(`
+    SELECT id, moisture_raw_percent, soil_ad FROM sensor_readings
+    WHERE sensor_id = ?
+      AND moisture_raw_percent IS NOT NULL
+      AND (? IS NULL OR timestamp >= ?)
+  `).all(sensorId, since, since);
+
+  // Readings whose raw value couldn't be calibrated before may not have a moisture row yet
+  const update = db.prepare(`
+    INSERT INTO sensor_metrics (observation_id, sensor_id, metric, value, unit, timestamp)
+    SELECT id, sensor_id, 'moisture', ?, '%', timestamp FROM sensor_observations WHERE id = ?
+    ON CONFLICT (observation_id, metric) DO UPDATE SET value = excluded.value
+  `);
+
+  const recompute = db.transaction(() => {
+    for (const reading of readings) {
+      update.run(applyCalibration(calibration, reading.moisture_raw_percent, reading.soil_ad), reading.id);
+    }
+    rebuildSensorRollups(sensorId, since);
+  });
+
+  recompute();
+  return readings.length;
+}
+
+module.exports = {
+  getCalibration,
+  validateCalibration,
+  applyCalibration,
+  calibrateMoisture,
+  recomputeReadings
+};
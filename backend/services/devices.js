@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const db = require('../models/db');
+
+// Tokens are stored hashed; the plain token is only returned when a device is created
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getDevice(id) {
+  return db.prepare(`
+    SELECT id, name, token_hint, last_ip, last_used_at, created_at FROM devices WHERE id = ?
+  `).get(id);
+}
+
+// Register a device and generate its API token. Returns the device with `token`.
+function createDevice(name) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const id = db.prepare(`
+    INSERT INTO devices (name, token_hash, token_hint) VALUES (?, ?, ?)
+  `).run(name, hashToken(token), token.slice(-4)).lastInsertRowid;
+
+  return { ...getDevice(id), token };
+}
+
+// Find the device a bearer token belongs to and record that it was used
+function authenticateDevice(token, sourceIp) {
+  if (!token) return null;
+
+  const device = db.prepare('SELECT id FROM devices WHERE token_hash = ?').get(hashToken(token));
+  if (!device) return null;
+
+  db.prepare(`
+    UPDATE devices SET last_ip = ?, last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+  `).run(sourceIp, device.id);
+  return getDevice(device.id);
+}
+
+module.exports = {
+  getDevice,
+  createDevice,
+  authenticateDevice
+};
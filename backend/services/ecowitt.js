@@ -0,0 +1,302 @@
+const db = require('../models/db');
+const { namespaceChannel } = require('./sensors');
+const { publish } = require('./events');
+const { storeReadings } = require('./readings');
+const { toSqliteTime } = require('./history');
+
+// Gateway weather station fields: weather_station_readings column -> Ecowitt key
+const STATION_FIELDS = {
+  temperature_f: 'tempf',
+  humidity: 'humidity',
+  indoor_temperature_f: 'tempinf',
+  indoor_humidity: 'humidityin',
+  rain_rate_in: 'rainratein',
+  event_rain_in: 'eventrainin',
+  hourly_rain_in: 'hourlyrainin',
+  daily_rain_in: 'dailyrainin',
+  wind_speed_mph: 'windspeedmph',
+  wind_gust_mph: 'windgustmph',
+  wind_direction: 'winddir',
+  solar_radiation: 'solarradiation',
+  uv: 'uv',
+  barometer_rel_in: 'baromrelin',
+  barometer_abs_in: 'baromabsin'
+};
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+// Sensor families the gateway can report, keyed by sensor_type.
+// - channels: channel numbers to look for (WH45 is a single sensor on channel 1)
+// - id / name: sensor id and default channel name for channel n
+// - fields: sensor_readings column -> payload key(s) for channel n, first match wins.
+//   The channel is present when its first field is.
+// - battery: payload key(s) for the channel's battery
+// A new metric needs an entry in services/metrics.js (then `npm run init-db`);
+// new families also need a default model in services/sensors.js and a card in
+// SensorCards.jsx.
+const SENSOR_FAMILIES = {
+  // WH51 soil moisture; soiladN is the probe's raw AD value on newer firmware
+  moisture: {
+    channels: range(1, 16),
+    id: n => `soil_moisture_${n}`,
+    name: n => `Soil Moisture ${n}`,
+    fields: { moisture_raw_percent: n => `soilmoisture${n}`, soil_ad: n => `soilad${n}` },
+    battery: n => `soilbatt${n}`
+  },
+  // WN34 soil/water temperature as tf_chN, or soiltempNf on some firmware
+  temperature: {
+    channels: range(1, 8),
+    id: n => `soil_temp_${n}`,
+    name: n => `Soil Temp ${n}`,
+    fields: { temperature_f: n => [`tf_ch${n}`, `soiltemp${n}f`] },
+    battery: n => [`tf_batt${n}`, `soiltempbatt${n}`]
+  },
+  // WH31 air temperature and humidity
+  air: {
+    channels: range(1, 8),
+    id: n => `air_${n}`,
+    name: n => `Air ${n}`,
+    fields: { temperature_f: n => `temp${n}f`, humidity: n => `humidity${n}` },
+    battery: n => `batt${n}`
+  },
+  // WN35 leaf wetness
+  leaf_wetness: {
+    channels: range(1, 8),
+    id: n => `leaf_wetness_${n}`,
+    name: n => `Leaf Wetness ${n}`,
+    fields: { leaf_wetness_percent: n => `leafwetness_ch${n}` },
+    battery: n => `leaf_batt${n}`
+  },
+  // WH45 CO2, PM2.5 and PM10 (with its own temperature and humidity)
+  air_quality: {
+    channels: [1],
+    id: () => 'air_quality_1',
+    name: () => 'Air Quality',
+    fields: {
+      co2_ppm: () => 'co2',
+      pm25: () => 'pm25_co2',
+      pm10: () => 'pm10_co2',
+      temperature_f: () => 'tf_co2',
+      humidity: () => 'humi_co2'
+    },
+    battery: () => 'co2_batt'
+  },
+  // WH55 water leak (1 = leak detected)
+  leak: {
+    channels: range(1, 4),
+    id: n => `leak_${n}`,
+    name: n => `Leak ${n}`,
+    fields: { leak: n => `leak_ch${n}` },
+    battery: n => `leakbatt${n}`
+  }
+};
+
+// First of the payload keys that's present
+function pick(data, keys) {
+  for (const key of [].concat(keys)) {
+    if (data[key] !== undefined && data[key] !== '') return data[key];
+  }
+  return undefined;
+}
+
+// Pull every sensor channel out of an Ecowitt payload.
+// Returns [{ sensorType, sensorId, channelName, channel, values, battery }],
+// where values maps sensor_readings columns to numbers (null if not sent).
+function parseSensorChannels(data) {
+  const readings = [];
+
+  for (const [sensorType, family] of Object.entries(SENSOR_FAMILIES)) {
+    const [primary] = Object.values(family.fields);
+
+    for (const n of family.channels) {
+      if (pick(data, primary(n)) === undefined) continue;
+
+      const values = {};
+      for (const [column, keys] of Object.entries(family.fields)) {
+        const value = parseFloat(pick(data, keys(n)));
+        values[column] = Number.isFinite(value) ? value : null;
+      }
+
+      readings.push({
+        sensorType,
+        sensorId: family.id(n),
+        channelName: family.name(n),
+        channel: n,
+        values,
+        battery: pick(data, family.battery(n)) || 'unknown'
+      });
+    }
+  }
+
+  return readings;
+}
+
+// Pull outdoor/indoor weather station fields out of an Ecowitt payload.
+// Returns null if the gateway didn't report any station data.
+function parseStationReading(data) {
+  const reading = {};
+  let found = false;
+
+  for (const [column, key] of Object.entries(STATION_FIELDS)) {
+    const value = parseFloat(data[key]);
+    reading[column] = Number.isFinite(value) ? value : null;
+    if (reading[column] !== null) found = true;
+  }
+
+  return found ? reading : null;
+}
+
+// Unit conversions for the gateway's local API, which reports in whatever
+// units the gateway is set to display ("22.6" + "C", "1.2 m/s", "3.4 mm")
+const toF = (value, unit) => unit === 'C' ? value * 9 / 5 + 32 : value;
+const UNIT_FACTORS = {
+  mm: 1 / 25.4, in: 1,
+  'mm/Hr': 1 / 25.4, 'in/Hr': 1,
+  'm/s': 2.23694, 'km/h': 0.621371, mph: 1, knots: 1.15078,
+  hPa: 0.02953, mmHg: 0.03937, inHg: 1
+};
+
+function liveNumber(text) {
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+// "3.4 mm" -> inches, "1.2 m/s" -> mph, "1010.2 hPa" -> inHg
+function liveConverted(text) {
+  const value = liveNumber(text);
+  if (value === null) return null;
+  const unit = String(text).trim().split(/\s+/)[1];
+  return unit && UNIT_FACTORS[unit] !== undefined ? value * UNIT_FACTORS[unit] : value;
+}
+
+// Gateway local API common_list / rain item ids -> webhook keys
+const LIVE_ITEMS = {
+  '0x02': 'tempf',
+  '0x07': 'humidity',
+  '0x0A': 'winddir',
+  '0x0B': 'windspeedmph',
+  '0x0C': 'windgustmph',
+  '0x15': 'solarradiation',
+  '0x17': 'uv',
+  '0x0D': 'eventrainin',
+  '0x0E': 'rainratein',
+  '0x0F': 'hourlyrainin',
+  '0x10': 'dailyrainin'
+};
+
+// Turn the gateway's local API live data (GET /get_livedata_info) into the
+// same keys the webhook sends, so both go through ingestEcowittPayload.
+// WH51 and WN35 battery levels are left out: the local API reports a 0-5 level
+// where the webhook sends volts, and mixing them would read as battery swaps.
+function parseLiveData(live) {
+  const data = {};
+  const set = (key, value) => {
+    if (value === null || value === undefined) return;
+    data[key] = String(typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+  };
+
+  for (const item of [...(live.common_list || []), ...(live.rain || []), ...(live.piezoRain || [])]) {
+    const key = LIVE_ITEMS[item.id];
+    if (!key) continue;
+    set(key, key === 'tempf' ? toF(liveNumber(item.val), item.unit) : liveConverted(item.val));
+  }
+
+  const [indoor] = live.wh25 || [];
+  if (indoor) {
+    set('tempinf', toF(liveNumber(indoor.intemp), indoor.unit));
+    set('humidityin', liveNumber(indoor.inhumi));
+    set('baromabsin', liveConverted(indoor.abs));
+    set('baromrelin', liveConverted(indoor.rel));
+  }
+
+  for (const ch of live.ch_soil || []) {
+    set(`soilmoisture${ch.channel}`, liveNumber(ch.humidity));
+  }
+  for (const ch of live.ch_temp || []) {
+    set(`tf_ch${ch.channel}`, toF(liveNumber(ch.temp), ch.unit));
+    set(`tf_batt${ch.channel}`, ch.battery);
+  }
+  for (const ch of live.ch_aisle || []) {
+    set(`temp${ch.channel}f`, toF(liveNumber(ch.temp), ch.unit));
+    set(`humidity${ch.channel}`, liveNumber(ch.humidity));
+    set(`batt${ch.channel}`, ch.battery);
+  }
+  for (const ch of live.ch_leaf || []) {
+    set(`leafwetness_ch${ch.channel}`, liveNumber(ch.humidity));
+  }
+  for (const ch of live.ch_leak || []) {
+    set(`leak_ch${ch.channel}`, /leak/i.test(ch.status) ? 1 : 0);
+    set(`leakbatt${ch.channel}`, ch.battery);
+  }
+
+  const [co2] = live.co2 || [];
+  if (co2) {
+    set('co2', liveNumber(co2.CO2));
+    set('pm25_co2', liveNumber(co2.PM25));
+    set('pm10_co2', liveNumber(co2.PM10));
+    set('tf_co2', toF(liveNumber(co2.temp), co2.unit));
+    set('humi_co2', liveNumber(co2.humidity));
+    set('co2_batt', co2.battery);
+  }
+
+  return data;
+}
+
+// Readings ahead of the receive time by more than this are stamped on receipt
+const MAX_CLOCK_SKEW_MINUTES = 5;
+
+// When the readings were taken: the payload's dateutc ("2026-10-18 14:05:00" UTC),
+// so buffered or late uploads keep their own time. "now", a missing or unparseable
+// value, or one too far ahead falls back to the receive time.
+function getReadingTime(dateutc, receivedAt) {
+  const match = String(dateutc || '').trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}:\d{2})$/);
+  if (!match) return receivedAt;
+
+  const date = new Date(`${match[1]}T${match[2]}Z`);
+  const latest = new Date(`${receivedAt.replace(' ', 'T')}Z`).getTime() + MAX_CLOCK_SKEW_MINUTES * 60 * 1000;
+  if (isNaN(date) || date.getTime() > latest) return receivedAt;
+  return toSqliteTime(date);
+}
+
+// Store everything in an Ecowitt payload and kick off alert checks.
+// Options are passed to storeReadings (services/readings.js); gatewayId is the
+// registered gateway that sent it, and sensors on any gateway other than the
+// default get ids namespaced by gateway.
+function ingestEcowittPayload(data, options = {}) {
+  const { ingestId = null, gatewayId = null, timestamp = null, replay = false } = options;
+  const readings = parseSensorChannels(data);
+  const stationReading = parseStationReading(data);
+  const takenAt = getReadingTime(data.dateutc, timestamp || toSqliteTime(new Date()));
+
+  const gateway = gatewayId ? db.prepare('SELECT * FROM gateways WHERE id = ?').get(gatewayId) : null;
+  for (const reading of readings) {
+    Object.assign(reading, namespaceChannel(gateway, reading.sensorId, reading.channelName));
+  }
+
+  const summary = storeReadings(readings, { ...options, timestamp: takenAt });
+  summary.station = !!stationReading;
+
+  if (stationReading) {
+    const columns = [...Object.keys(STATION_FIELDS), 'ingest_id', 'gateway_id', 'timestamp'];
+    const stationId = db.prepare(`
+      INSERT INTO weather_station_readings (${columns.join(', ')})
+      VALUES (${columns.map(c => '@' + c).join(', ')})
+    `).run({
+      ...stationReading, ingest_id: ingestId, gateway_id: gatewayId, timestamp: takenAt
+    }).lastInsertRowid;
+
+    if (!replay) {
+      publish('station', db.prepare('SELECT * FROM weather_station_readings WHERE id = ?').get(stationId));
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  SENSOR_FAMILIES,
+  parseSensorChannels,
+  parseStationReading,
+  parseLiveData,
+  ingestEcowittPayload
+};
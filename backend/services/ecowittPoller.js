@@ -0,0 +1,97 @@
+const { getSetting } = require('./alerts');
+const { parseLiveData, ingestEcowittPayload } = require('./ecowitt');
+const { logIngest, finishIngest } = require('./ingestLog');
+const { getDefaultGateway, recordGatewayPost } = require('./gateways');
+const { toSqliteTime } = require('./history');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Last poll outcome, reported by /api/ingest/poller
+const state = {
+  lastPollAt: null,
+  lastSuccessAt: null,
+  lastError: null,
+  lastResult: null
+};
+
+// 'push' (the gateway posts to the webhook) or 'poll' (we fetch from its local API)
+function getIngestMode() {
+  return getSetting('ecowitt_mode') === 'poll' ? 'poll' : 'push';
+}
+
+function getPollerSettings() {
+  return {
+    mode: getIngestMode(),
+    host: getSetting('ecowitt_gateway_host') || null,
+    interval_seconds: parseInt(getSetting('ecowitt_poll_seconds')) || DEFAULT_INTERVAL_SECONDS
+  };
+}
+
+function getPollerStatus() {
+  return {
+    ...getPollerSettings(),
+    last_poll_at: state.lastPollAt,
+    last_success_at: state.lastSuccessAt,
+    last_error: state.lastError,
+    last_result: state.lastResult
+  };
+}
+
+// Fetch live data from the gateway's local HTTP API and ingest it like a webhook post.
+// Readings are stored against the default gateway.
+async function pollGateway(host) {
+  const base = /^https?:\/\//.test(host) ? host : `http://${host}`;
+  const response = await fetch(`${base}/get_livedata_info`, {
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Gateway returned ${response.status}`);
+  }
+  const live = await response.json();
+
+  const gateway = getDefaultGateway();
+  recordGatewayPost(gateway.id, {}, host);
+
+  const ingestId = logIngest('ecowitt_local', host, live, gateway.id);
+  try {
+    const result = ingestEcowittPayload(parseLiveData(live), { ingestId, gatewayId: gateway.id });
+    finishIngest(ingestId, 'ok', result);
+    return result;
+  } catch (error) {
+    finishIngest(ingestId, 'error', { error: error.message });
+    throw error;
+  }
+}
+
+// Poll on the configured interval while ecowitt_mode is 'poll'.
+// Settings are re-read every tick, so switching modes doesn't need a restart.
+function startEcowittPoller() {
+  const tick = async () => {
+    const { mode, host, interval_seconds } = getPollerSettings();
+
+    if (mode === 'poll') {
+      state.lastPollAt = toSqliteTime(new Date());
+      try {
+        if (!host) throw new Error('ecowitt_gateway_host is not set');
+        state.lastResult = await pollGateway(host);
+        state.lastSuccessAt = state.lastPollAt;
+        state.lastError = null;
+      } catch (error) {
+        state.lastError = error.message;
+        console.error('Error polling Ecowitt gateway:', error.message);
+      }
+    }
+
+    setTimeout(tick, interval_seconds * 1000);
+  };
+
+  tick();
+}
+
+module.exports = {
+  getIngestMode,
+  getPollerStatus,
+  pollGateway,
+  startEcowittPoller
+};
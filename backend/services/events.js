@@ -0,0 +1,24 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for live updates. Ingest, alerts, task and bed routes publish
+// here; the /api/events stream (and anything else interested) subscribes.
+const bus = new EventEmitter();
+
+// Every open browser stream adds a listener, so don't warn at the default of 10
+bus.setMaxListeners(0);
+
+// Publish an event, e.g. publish('reading', { sensor_id, moisture_percent, ... })
+function publish(type, data) {
+  bus.emit('event', { type, data });
+}
+
+// Subscribe to all events. Returns a function that removes the listener.
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
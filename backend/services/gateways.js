@@ -0,0 +1,178 @@
+const db = require('../models/db');
+const { getSetting } = require('./alerts');
+const { replayIngestLog } = require('./ingestLog');
+const { markSensorSeen } = require('./sensorHealth');
+
+const POLICIES = ['quarantine', 'reject', 'allow'];
+
+// What to do with posts from gateways that aren't approved
+function getUnknownGatewayPolicy() {
+  const policy = getSetting('unknown_gateway_policy');
+  return POLICIES.includes(policy) ? policy : 'quarantine';
+}
+
+function getGateway(id) {
+  return db.prepare('SELECT * FROM gateways WHERE id = ?').get(id);
+}
+
+function countGateways() {
+  return db.prepare('SELECT COUNT(*) as count FROM gateways').get().count;
+}
+
+// Gateway as returned by the API: the PASSKEY authenticates uploads, so only
+// its last 4 characters are shown
+function toPublicGateway(gateway) {
+  if (!gateway) return gateway;
+  return { ...gateway, passkey: gateway.passkey ? `****${gateway.passkey.slice(-4)}` : null };
+}
+
+// Find a registered gateway by PASSKEY, falling back to MAC
+function findGateway(passkey, mac) {
+  return db.prepare(`
+    SELECT * FROM gateways
+    WHERE (? IS NOT NULL AND passkey = ?) OR (? IS NOT NULL AND mac = ?)
+    ORDER BY passkey = ? DESC
+    LIMIT 1
+  `).get(passkey, passkey, mac, mac, passkey);
+}
+
+// The first approved gateway becomes the default, whose sensors keep un-prefixed ids.
+// Named from its MAC, or the same last 4 PASSKEY characters the API shows.
+function createGateway(passkey, mac, approved) {
+  const label = mac ? mac.slice(-6) : passkey.slice(-4).toUpperCase();
+  const hasDefault = !!db.prepare('SELECT id FROM gateways WHERE is_default = 1').get();
+
+  const id = db.prepare(`
+    INSERT INTO gateways (name, passkey, mac, approved, is_default)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(`Gateway ${label}`, passkey, mac, approved ? 1 : 0, approved && !hasDefault ? 1 : 0).lastInsertRowid;
+  return getGateway(id);
+}
+
+// Record gateway details sent with every post: model, firmware and radio band
+function recordGatewayPost(gatewayId, data, sourceIp) {
+  db.prepare(`
+    UPDATE gateways SET
+      model = COALESCE(?, model),
+      stationtype = COALESCE(?, stationtype),
+      freq = COALESCE(?, freq),
+      last_ip = ?,
+      last_post_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(data.model || null, data.stationtype || null, data.freq || null, sourceIp, gatewayId);
+}
+
+// The placeholder default gateway created when migrating an existing install,
+// waiting for the real gateway to post
+function getUnclaimedDefault() {
+  return db.prepare(`
+    SELECT * FROM gateways
+    WHERE is_default = 1 AND approved = 1 AND passkey IS NULL AND mac IS NULL
+  `).get();
+}
+
+// The default gateway, creating a placeholder for the first gateway to claim
+// if there isn't one yet (used when readings arrive without a PASSKEY, e.g. polling)
+function getDefaultGateway() {
+  const gateway = db.prepare('SELECT * FROM gateways WHERE is_default = 1').get();
+  if (gateway) return gateway;
+
+  const id = db.prepare(`
+    INSERT INTO gateways (name, approved, is_default) VALUES ('Default gateway', 1, 1)
+  `).run().lastInsertRowid;
+  return getGateway(id);
+}
+
+// Decide whether to accept a webhook post.
+// Returns { action: 'accept' | 'quarantine' | 'reject', gateway }.
+// Unknown gateways are added to the registry unapproved so they can be approved later.
+// Only while no gateway is registered at all is the first to post trusted
+// automatically (after migrating an existing install it takes over the placeholder
+// default gateway). Once any gateway exists, revoked or not, unknown ones wait
+// for approval, so revoking a gateway can't hand trust to whoever posts next.
+function authorizeGateway(data, sourceIp) {
+  const passkey = data.PASSKEY || data.passkey || null;
+  const mac = (data.mac || data.MAC || '').toUpperCase() || null;
+  const policy = getUnknownGatewayPolicy();
+
+  let gateway = (passkey || mac) ? findGateway(passkey, mac) : null;
+
+  if (!gateway && (passkey || mac)) {
+    const unclaimed = getUnclaimedDefault();
+    if (unclaimed && countGateways() === 1) {
+      db.prepare('UPDATE gateways SET passkey = ?, mac = ? WHERE id = ?').run(passkey, mac, unclaimed.id);
+      gateway = getGateway(unclaimed.id);
+      console.log(`Gateway at ${sourceIp} claimed ${gateway.name}`);
+    }
+  }
+
+  if (gateway) {
+    recordGatewayPost(gateway.id, data, sourceIp);
+    if (gateway.approved || policy === 'allow') return { action: 'accept', gateway };
+    return { action: policy, gateway };
+  }
+
+  if (!passkey && !mac) {
+    return { action: policy === 'allow' ? 'accept' : policy, gateway: null };
+  }
+
+  if (countGateways() === 0) {
+    gateway = createGateway(passkey, mac, true);
+    recordGatewayPost(gateway.id, data, sourceIp);
+    console.log(`Registered gateway ${gateway.name} from ${sourceIp}`);
+    return { action: 'accept', gateway };
+  }
+
+  // Accepted under the allow policy, but left unapproved so it's still listed as pending
+  if (policy === 'allow') {
+    gateway = createGateway(passkey, mac, false);
+    recordGatewayPost(gateway.id, data, sourceIp);
+    console.log(`Accepted posts from unapproved gateway ${gateway.name} at ${sourceIp}`);
+    return { action: 'accept', gateway };
+  }
+
+  if (policy === 'reject') {
+    return { action: 'reject', gateway: null };
+  }
+
+  gateway = createGateway(passkey, mac, false);
+  recordGatewayPost(gateway.id, data, sourceIp);
+  console.log(`Quarantined posts from unknown gateway ${gateway.name} at ${sourceIp}`);
+  return { action: 'quarantine', gateway };
+}
+
+// Approve a gateway and parse the payloads it sent while quarantined.
+// Replays skip live updates, so the sensors they stored are marked seen here.
+function approveGateway(id) {
+  db.prepare('UPDATE gateways SET approved = 1 WHERE id = ?').run(id);
+
+  const ids = db.prepare(`
+    SELECT id FROM ingest_log WHERE gateway_id = ? AND status = 'quarantined'
+  `).all(id).map(row => row.id);
+  if (ids.length === 0) return { entries: 0, replayed: 0 };
+
+  const summary = replayIngestLog({ ids });
+
+  const seen = db.prepare(`
+    SELECT o.sensor_id, MAX(o.timestamp) as timestamp
+    FROM sensor_observations o
+    JOIN sensors s ON s.sensor_id = o.sensor_id
+    WHERE o.ingest_id IN (${ids.map(() => '?').join(', ')})
+    GROUP BY o.sensor_id
+    HAVING s.last_seen IS NULL OR MAX(o.timestamp) > s.last_seen
+  `).all(...ids);
+  seen.forEach(({ sensor_id, timestamp }) => markSensorSeen(sensor_id, timestamp));
+
+  return summary;
+}
+
+module.exports = {
+  getGateway,
+  countGateways,
+  toPublicGateway,
+  findGateway,
+  getDefaultGateway,
+  recordGatewayPost,
+  authorizeGateway,
+  approveGateway
+};
@@ -0,0 +1,201 @@
+const db = require('../models/db');
+const { pickResolution } = require('./rollups');
+const { METRICS } = require('./metrics');
+
+// Bucket sizes accepted by history queries, in seconds
+const BUCKETS = {
+  '5m': 5 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+const AGGREGATES = ['avg', 'min', 'max', 'last'];
+
+// Smallest bucket each source can serve (rollups can't be split back up).
+// Raw readings rejected at ingest are left out; rollups never include them.
+const SOURCES = {
+  raw: { table: 'sensor_readings', timeColumn: 'timestamp', minBucket: 0, filter: 'AND rejected = 0' },
+  hourly: { table: 'sensor_readings_hourly', timeColumn: 'bucket_start', minBucket: BUCKETS['1h'], filter: '' },
+  daily: { table: 'sensor_readings_daily', timeColumn: 'bucket_start', minBucket: BUCKETS['1d'], filter: '' }
+};
+
+const MAX_SPAN_HOURS = 5 * 366 * 24;
+
+// Columns in every history row, even when empty, for charts that expect them
+const ALWAYS_RETURNED = ['moisture_percent', 'temperature_f'];
+
+// Format a Date the way SQLite's CURRENT_TIMESTAMP stores it (UTC, no "T" or "Z")
+function toSqliteTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Parse and validate history query parameters.
+// Returns { options } on success or { error } with a message for a 400 response.
+function parseHistoryParams(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (isNaN(to)) {
+    return { error: 'Invalid "to" timestamp' };
+  }
+
+  let from;
+  if (query.from) {
+    from = new Date(query.from);
+    if (isNaN(from)) {
+      return { error: 'Invalid "from" timestamp' };
+    }
+  } else {
+    const hours = query.hours === undefined ? 24 : Number(query.hours);
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return { error: '"hours" must be a positive number' };
+    }
+    from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+  }
+
+  if (from >= to) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  const spanHours = (to - from) / (60 * 60 * 1000);
+  if (spanHours > MAX_SPAN_HOURS) {
+    return { error: 'Requested range is too long' };
+  }
+
+  if (query.bucket !== undefined && !BUCKETS[query.bucket]) {
+    return { error: `"bucket" must be one of: ${Object.keys(BUCKETS).join(', ')}` };
+  }
+
+  const agg = query.agg || 'avg';
+  if (!AGGREGATES.includes(agg)) {
+    return { error: `"agg" must be one of: ${AGGREGATES.join(', ')}` };
+  }
+
+  if (query.resolution !== undefined && !SOURCES[query.resolution]) {
+    return { error: `"resolution" must be one of: ${Object.keys(SOURCES).join(', ')}` };
+  }
+
+  return {
+    options: {
+      from,
+      to,
+      bucket: query.bucket || null,
+      agg,
+      resolution: query.resolution || pickResolution(spanHours, from)
+    }
+  };
+}
+
+// Column expressions for each aggregate, per source ("last" is handled
+// separately in querySensorHistory). Every metric in services/metrics.js is
+// returned under its sensor_readings column name. Rollup averages are weighted
+// by sample count.
+function aggregateColumns(resolution, agg) {
+  return Object.entries(METRICS).map(([metric, { column }]) => {
+    if (resolution === 'raw') return `${agg.toUpperCase()}(${column}) as ${column}`;
+    if (agg === 'min') return `MIN(${metric}_min) as ${column}`;
+    if (agg === 'max') return `MAX(${metric}_max) as ${column}`;
+    return `SUM(${metric}_avg * sample_count) / SUM(CASE WHEN ${metric}_avg IS NOT NULL THEN sample_count END) as ${column}`;
+  }).join(',\n');
+}
+
+// Each metric's value column, as stored (raw) or as its rollup average
+function valueColumns(resolution) {
+  return Object.entries(METRICS)
+    .map(([metric, { column }]) => (resolution === 'raw' ? column : `${metric}_avg as ${column}`))
+    .join(', ');
+}
+
+// Leave out metrics the sensor has no values for in this range (most sensors
+// report one or two). Moisture and temperature are always included.
+function dropEmptyMetrics(rows) {
+  const empty = Object.entries(METRICS).filter(([, { column }]) => (
+    !ALWAYS_RETURNED.includes(column) && rows.every(row => row[column] === null)
+  ));
+  if (empty.length === 0) return rows;
+
+  return rows.map(row => {
+    const trimmed = { ...row };
+    for (const [metric, { column }] of empty) {
+      delete trimmed[column];
+      delete trimmed[`${metric}_min`];
+      delete trimmed[`${metric}_max`];
+    }
+    return trimmed;
+  });
+}
+
+// Fetch history for one sensor using parsed options
+function querySensorHistory(sensorId, { from, to, bucket, agg, resolution }) {
+  const source = SOURCES[resolution];
+  const range = [sensorId, toSqliteTime(from), toSqliteTime(to)];
+
+  // Unbucketed: return rows as stored
+  if (!bucket) {
+    const columns = resolution === 'raw'
+      ? `sensor_type, ${valueColumns('raw')}, timestamp`
+      : `sensor_type, ${Object.entries(METRICS).map(([metric, { column }]) => (
+        `${metric}_avg as ${column}, ${metric}_min, ${metric}_max`
+      )).join(', ')}, sample_count, bucket_start as timestamp`;
+
+    return dropEmptyMetrics(db.prepare(`
+      SELECT ${columns}
+      FROM ${source.table}
+      WHERE sensor_id = ?
+        AND ${source.timeColumn} >= ?
+        AND ${source.timeColumn} < ?
+        ${source.filter}
+      ORDER BY ${source.timeColumn} ASC
+    `).all(...range));
+  }
+
+  // Inlined rather than bound: bound JS numbers are REALs, which breaks integer division
+  const bucketSeconds = Math.max(BUCKETS[bucket], source.minBucket);
+  const bucketEpoch = `(CAST(strftime('%s', ${source.timeColumn}) AS INTEGER) / ${bucketSeconds}) * ${bucketSeconds}`;
+  const metricColumns = Object.values(METRICS).map(({ column }) => column);
+
+  // "last": the newest row in each bucket, picked explicitly rather than relying
+  // on which row SQLite takes bare columns from in an aggregate query
+  const rows = agg === 'last'
+    ? db.prepare(`
+      SELECT bucket_epoch, sensor_type, ${metricColumns.join(', ')}
+      FROM (
+        SELECT
+          ${bucketEpoch} as bucket_epoch,
+          sensor_type,
+          ${valueColumns(resolution)},
+          ROW_NUMBER() OVER (PARTITION BY ${bucketEpoch} ORDER BY ${source.timeColumn} DESC) as position
+        FROM ${source.table}
+        WHERE sensor_id = ?
+          AND ${source.timeColumn} >= ?
+          AND ${source.timeColumn} < ?
+          ${source.filter}
+      )
+      WHERE position = 1
+      ORDER BY bucket_epoch ASC
+    `).all(...range)
+    : db.prepare(`
+      SELECT
+        ${bucketEpoch} as bucket_epoch,
+        MAX(sensor_type) as sensor_type,
+        ${aggregateColumns(resolution, agg)}
+      FROM ${source.table}
+      WHERE sensor_id = ?
+        AND ${source.timeColumn} >= ?
+        AND ${source.timeColumn} < ?
+        ${source.filter}
+      GROUP BY bucket_epoch
+      ORDER BY bucket_epoch ASC
+    `).all(...range);
+
+  return dropEmptyMetrics(rows.map(({ bucket_epoch, ...row }) => ({
+    ...row,
+    timestamp: toSqliteTime(new Date(bucket_epoch * 1000))
+  })));
+}
+
+module.exports = {
+  BUCKETS,
+  AGGREGATES,
+  toSqliteTime,
+  parseHistoryParams,
+  querySensorHistory
+};
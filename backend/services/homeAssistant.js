@@ -0,0 +1,263 @@
+const db = require('../models/db');
+const { getSetting } = require('./alerts');
+const { subscribe } = require('./events');
+const { WATERING_STATUSES, getWateringStatus } = require('./watering');
+
+// Home Assistant MQTT discovery: each bed becomes an HA device with moisture,
+// soil temperature and watering status entities (from its sensor_id and
+// temp_sensor_id), plus a due-task count on a device for the dashboard itself.
+// Configs and states are retained so HA picks them up whenever it restarts.
+
+const NODE_ID = 'garden_dashboard';
+const DASHBOARD_DEVICE = {
+  identifiers: [NODE_ID],
+  name: 'Garden Dashboard',
+  manufacturer: 'garden-dashboard'
+};
+
+// Config topics for the current beds, so entities for removed beds or unmapped
+// sensors can be cleared (including ones retained by the broker from earlier runs)
+let publishedConfigs = new Set();
+
+function isDiscoveryEnabled() {
+  return getSetting('ha_discovery_enabled') === 'true';
+}
+
+function getTopics() {
+  const base = getSetting('ha_state_topic') || 'garden/ha';
+  return {
+    discovery: getSetting('ha_discovery_prefix') || 'homeassistant',
+    availability: `${base}/status`,
+    bed: id => `${base}/bed/${id}`,
+    tasks: `${base}/tasks`
+  };
+}
+
+// Last will, so HA marks every entity unavailable when the dashboard drops off the broker
+function getHomeAssistantWill() {
+  if (!isDiscoveryEnabled()) return undefined;
+  return { topic: getTopics().availability, payload: 'offline', retain: true };
+}
+
+function buildEntities(topics) {
+  const entity = (objectId, name, device, stateTopic, config) => ({
+    topic: `${topics.discovery}/sensor/${NODE_ID}/${objectId}/config`,
+    config: {
+      name,
+      unique_id: `${NODE_ID}_${objectId}`,
+      object_id: `garden_${objectId}`,
+      state_topic: stateTopic,
+      availability_topic: topics.availability,
+      device,
+      ...config
+    }
+  });
+
+  const entities = [
+    entity('tasks_due', 'Tasks due', DASHBOARD_DEVICE, topics.tasks, {
+      value_template: '{{ value_json.due }}',
+      unit_of_measurement: 'tasks',
+      state_class: 'measurement',
+      icon: 'mdi:clipboard-check-outline',
+      json_attributes_topic: topics.tasks,
+      json_attributes_template: '{{ {"overdue": value_json.overdue, "titles": value_json.titles} | tojson }}'
+    })
+  ];
+
+  const beds = db.prepare('SELECT * FROM beds ORDER BY name').all();
+  for (const bed of beds) {
+    const device = {
+      identifiers: [`${NODE_ID}_bed_${bed.id}`],
+      name: bed.name,
+      model: 'Garden bed',
+      manufacturer: 'garden-dashboard',
+      via_device: NODE_ID
+    };
+    const stateTopic = topics.bed(bed.id);
+
+    if (bed.sensor_id) {
+      entities.push(entity(`bed_${bed.id}_moisture`, 'Soil moisture', device, stateTopic, {
+        value_template: '{{ value_json.moisture }}',
+        device_class: 'moisture',
+        unit_of_measurement: '%',
+        state_class: 'measurement'
+      }));
+      entities.push(entity(`bed_${bed.id}_watering`, 'Watering status', device, stateTopic, {
+        value_template: '{{ value_json.watering_status }}',
+        device_class: 'enum',
+        options: WATERING_STATUSES,
+        icon: 'mdi:watering-can',
+        json_attributes_topic: stateTopic,
+        json_attributes_template: '{{ {"advice": value_json.watering_advice} | tojson }}'
+      }));
+    }
+
+    if (bed.temp_sensor_id) {
+      entities.push(entity(`bed_${bed.id}_soil_temperature`, 'Soil temperature', device, stateTopic, {
+        value_template: '{{ value_json.soil_temperature }}',
+        device_class: 'temperature',
+        unit_of_measurement: '°F',
+        state_class: 'measurement'
+      }));
+    }
+  }
+
+  return entities;
+}
+
+function getBedState(bed) {
+  const latest = db.prepare(`
+    SELECT moisture_percent, temperature_f, timestamp FROM sensor_readings
+    WHERE sensor_id = ? AND rejected = 0
+    ORDER BY timestamp DESC LIMIT 1
+  `);
+  const moisture = bed.sensor_id ? latest.get(bed.sensor_id) : null;
+  const temperature = bed.temp_sensor_id ? latest.get(bed.temp_sensor_id) : null;
+  const watering = moisture && moisture.moisture_percent !== null ? getWateringStatus(moisture.moisture_percent) : null;
+
+  return {
+    moisture: moisture ? moisture.moisture_percent : null,
+    soil_temperature: temperature ? temperature.temperature_f : null,
+    watering_status: watering ? watering.status : null,
+    watering_advice: watering ? watering.advice : null,
+    moisture_updated_at: moisture ? moisture.timestamp : null,
+    temperature_updated_at: temperature ? temperature.timestamp : null
+  };
+}
+
+function getTaskState() {
+  const tasks = db.prepare(`
+    SELECT title, due_date FROM tasks
+    WHERE completed_at IS NULL AND due_date <= date('now')
+    ORDER BY due_date ASC
+  `).all();
+  const today = db.prepare("SELECT date('now') as today").get().today;
+
+  return {
+    due: tasks.length,
+    overdue: tasks.filter(task => task.due_date < today).length,
+    titles: tasks.map(task => task.title)
+  };
+}
+
+function publishBedState(client, topics, bed) {
+  client.publish(topics.bed(bed.id), JSON.stringify(getBedState(bed)), { retain: true });
+}
+
+function publishTaskState(client, topics) {
+  client.publish(topics.tasks, JSON.stringify(getTaskState()), { retain: true });
+}
+
+// Publish discovery configs for the current beds, clearing any published earlier
+// this run that no longer exist. With discovery turned off this only clears.
+function publishDiscovery(client) {
+  const topics = getTopics();
+  const entities = isDiscoveryEnabled() ? buildEntities(topics) : [];
+  const current = new Set(entities.map(e => e.topic));
+
+  for (const topic of publishedConfigs) {
+    if (!current.has(topic)) client.publish(topic, '', { retain: true });
+  }
+  for (const { topic, config } of entities) {
+    client.publish(topic, JSON.stringify(config), { retain: true });
+  }
+  publishedConfigs = current;
+}
+
+// Full sync on every (re)connect: availability, discovery configs and all states.
+// Also subscribes to the dashboard's own retained configs and bed states, so any
+// left from beds deleted (or discovery turned off) while it was down are cleared
+// by handleHomeAssistantMessage when the broker sends them.
+function publishHomeAssistant(client) {
+  publishDiscovery(client);
+
+  const topics = getTopics();
+  client.subscribe([`${topics.discovery}/sensor/${NODE_ID}/+/config`, topics.bed('+')]);
+  if (!isDiscoveryEnabled()) return;
+
+  client.publish(topics.availability, 'online', { retain: true });
+  for (const bed of db.prepare('SELECT * FROM beds').all()) {
+    publishBedState(client, topics, bed);
+  }
+  publishTaskState(client, topics);
+}
+
+// Clear a retained config or bed state the dashboard no longer publishes.
+// Returns whether the topic was one of its own, so the MQTT bridge doesn't
+// treat it as incoming readings.
+function handleHomeAssistantMessage(client, topic, message) {
+  const topics = getTopics();
+  const configPrefix = `${topics.discovery}/sensor/${NODE_ID}/`;
+  const bedPrefix = topics.bed('');
+
+  let stale;
+  if (topic.startsWith(configPrefix) && topic.endsWith('/config')) {
+    stale = !publishedConfigs.has(topic);
+  } else if (topic.startsWith(bedPrefix) && !topic.slice(bedPrefix.length).includes('/')) {
+    const bed = db.prepare('SELECT id FROM beds WHERE id = ?').get(topic.slice(bedPrefix.length));
+    stale = !isDiscoveryEnabled() || !bed;
+  } else {
+    return false;
+  }
+
+  // Cleared topics come back as empty messages
+  if (stale && message.length > 0) client.publish(topic, '', { retain: true });
+  return true;
+}
+
+// Milliseconds until just after the next UTC midnight, when date('now') rolls over
+function msUntilNextDay() {
+  const next = new Date();
+  next.setUTCHours(24, 0, 1, 0);
+  return next - Date.now();
+}
+
+// Keep HA states current: readings from a bed's sensors, task changes, and
+// bed changes (which can add or remove entities). Task counts are also
+// republished each day, when tasks due yesterday become overdue.
+function forwardHomeAssistantEvents(client) {
+  if (!isDiscoveryEnabled()) return () => {};
+  const topics = getTopics();
+
+  let timer = null;
+  const scheduleDaily = () => {
+    timer = setTimeout(() => {
+      try {
+        publishTaskState(client, topics);
+      } catch (error) {
+        console.error('Error publishing Home Assistant task counts:', error);
+      }
+      scheduleDaily();
+    }, msUntilNextDay());
+  };
+  scheduleDaily();
+
+  const unsubscribe = subscribe(({ type, data }) => {
+    try {
+      if (type === 'reading') {
+        const beds = db.prepare('SELECT * FROM beds WHERE sensor_id = ? OR temp_sensor_id = ?')
+          .all(data.sensor_id, data.sensor_id);
+        beds.forEach(bed => publishBedState(client, topics, bed));
+      } else if (type === 'task') {
+        publishTaskState(client, topics);
+      } else if (type === 'bed') {
+        publishDiscovery(client);
+        if (data.action !== 'deleted') publishBedState(client, topics, data.bed);
+      }
+    } catch (error) {
+      console.error('Error publishing Home Assistant state:', error);
+    }
+  });
+
+  return () => {
+    clearTimeout(timer);
+    unsubscribe();
+  };
+}
+
+module.exports = {
+  getHomeAssistantWill,
+  publishHomeAssistant,
+  handleHomeAssistantMessage,
+  forwardHomeAssistantEvents
+};
@@ -0,0 +1,192 @@
+const db = require('../models/db');
+const { getSetting } = require('./alerts');
+const { ingestEcowittPayload, parseLiveData } = require('./ecowitt');
+const { rebuildSensorRollups } = require('./rollups');
+const { parseWundergroundParams } = require('./wunderground');
+const { ingestJsonReadings } = require('./jsonIngest');
+
+const DEFAULT_RETENTION_DAYS = 14;
+const CLEANUP_INTERVAL_MINUTES = 60;
+
+// Parsers for each archived source, used by replay. JSON posts are replayed as
+// the device that sent them (entries archived before device ids were logged
+// skip the ownership check); MQTT messages as a device owning no sensors.
+const INGESTERS = {
+  ecowitt: ingestEcowittPayload,
+  ecowitt_local: (data, options) => ingestEcowittPayload(parseLiveData(data), options),
+  wunderground: (data, options) => ingestEcowittPayload(parseWundergroundParams(data), options),
+  json: (data, options) => ingestJsonReadings(data, options, options.deviceId ? { id: options.deviceId } : null),
+  mqtt: (data, options) => ingestJsonReadings(data, options, { id: null })
+};
+
+// Payload keys that authenticate a gateway (Ecowitt PASSKEY, Wunderground PASSWORD).
+// They're left out of the archive, which anyone on the LAN can browse; replay
+// finds the gateway from the entry's gateway_id instead.
+const SECRET_KEYS = ['PASSKEY', 'passkey', 'PASSWORD'];
+
+function withoutSecrets(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+  const stripped = { ...payload };
+  for (const key of SECRET_KEYS) delete stripped[key];
+  return stripped;
+}
+
+// Entries archived before secrets were stripped: show them masked, as /api/gateways does
+function maskSecrets(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) return payload;
+  const masked = { ...payload };
+  for (const key of SECRET_KEYS) {
+    if (typeof masked[key] === 'string') masked[key] = `****${masked[key].slice(-4)}`;
+  }
+  return masked;
+}
+
+// Archive a raw payload before it's parsed. Returns the ingest_log id.
+function logIngest(source, sourceIp, payload, gatewayId = null, status = 'received', deviceId = null) {
+  return db.prepare(`
+    INSERT INTO ingest_log (source, source_ip, gateway_id, device_id, payload, status)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(source, sourceIp, gatewayId, deviceId, JSON.stringify(withoutSecrets(payload)), status).lastInsertRowid;
+}
+
+// Record how parsing an archived payload went
+function finishIngest(id, status, result) {
+  db.prepare('UPDATE ingest_log SET status = ?, result = ? WHERE id = ?')
+    .run(status, JSON.stringify(result), id);
+}
+
+function parseEntry(row) {
+  return {
+    ...row,
+    payload: maskSecrets(JSON.parse(row.payload)),
+    result: row.result ? JSON.parse(row.result) : null
+  };
+}
+
+// Recent archived payloads, newest first
+function getIngestLog({ limit = 50, status = null, source = null } = {}) {
+  return db.prepare(`
+    SELECT * FROM ingest_log
+    WHERE (? IS NULL OR status = ?)
+      AND (? IS NULL OR source = ?)
+    ORDER BY received_at DESC, id DESC
+    LIMIT ${Math.floor(limit)}
+  `).all(status, status, source, source).map(parseEntry);
+}
+
+function getIngestEntry(id) {
+  const row = db.prepare('SELECT * FROM ingest_log WHERE id = ?').get(id);
+  return row ? parseEntry(row) : null;
+}
+
+// Re-run archived payloads through the parser, replacing the readings they
+// produced last time, then rebuild rollups for the affected sensors.
+// Selects entries by id list or received_at range; oldest first so
+// validation sees readings in their original order. Ranges skip payloads
+// that were quarantined or rejected (approving a gateway replays its own)
+// and webhook posts ignored while polling.
+function replayIngestLog({ ids = null, from = null, to = null, dryRun = false } = {}) {
+  const entries = ids
+    ? db.prepare(`
+        SELECT * FROM ingest_log WHERE id IN (${ids.map(() => '?').join(', ')})
+        ORDER BY received_at ASC, id ASC
+      `).all(...ids)
+    : db.prepare(`
+        SELECT * FROM ingest_log
+        WHERE (? IS NULL OR received_at >= ?)
+          AND (? IS NULL OR received_at < ?)
+          AND status NOT IN ('quarantined', 'rejected', 'ignored')
+        ORDER BY received_at ASC, id ASC
+      `).all(from, from, to, to);
+
+  const summary = { entries: entries.length, replayed: 0, skipped: 0, readings: 0, rejected: 0 };
+  if (dryRun || entries.length === 0) return summary;
+
+  const affected = new Map();
+
+  const deleteReadings = db.prepare('DELETE FROM sensor_observations WHERE ingest_id = ?');
+  const deleteStation = db.prepare('DELETE FROM weather_station_readings WHERE ingest_id = ?');
+  const readingSensors = db.prepare('SELECT DISTINCT sensor_id FROM sensor_observations WHERE ingest_id = ?');
+
+  const replay = db.transaction(() => {
+    for (const entry of entries) {
+      const ingest = INGESTERS[entry.source];
+      if (!ingest) {
+        summary.skipped++;
+        continue;
+      }
+
+      // Sensors from the previous parse also need their rollups rebuilt
+      const sensorIds = readingSensors.all(entry.id).map(r => r.sensor_id);
+      deleteReadings.run(entry.id);
+      deleteStation.run(entry.id);
+
+      try {
+        const result = ingest(JSON.parse(entry.payload), {
+          ingestId: entry.id,
+          gatewayId: entry.gateway_id,
+          deviceId: entry.device_id,
+          timestamp: entry.received_at,
+          replay: true
+        });
+        finishIngest(entry.id, 'ok', result);
+        summary.replayed++;
+        summary.readings += result.readings;
+        summary.rejected += result.rejected;
+      } catch (error) {
+        finishIngest(entry.id, 'error', { error: error.message });
+        summary.skipped++;
+      }
+
+      sensorIds.push(...readingSensors.all(entry.id).map(r => r.sensor_id));
+      for (const sensorId of sensorIds) {
+        if (!affected.has(sensorId)) affected.set(sensorId, entry.received_at);
+      }
+    }
+
+    for (const [sensorId, since] of affected) {
+      rebuildSensorRollups(sensorId, since);
+    }
+  });
+
+  replay();
+  summary.sensors = affected.size;
+  return summary;
+}
+
+// Days to keep archived payloads
+function getRetentionDays() {
+  return parseInt(getSetting('ingest_log_retention_days')) || DEFAULT_RETENTION_DAYS;
+}
+
+function purgeIngestLog() {
+  return db.prepare(`
+    DELETE FROM ingest_log WHERE received_at < datetime('now', ?)
+  `).run(`-${getRetentionDays()} days`).changes;
+}
+
+// Purge old payloads on startup and then on a fixed interval
+function startIngestLogCleanup() {
+  const tick = () => {
+    try {
+      const purged = purgeIngestLog();
+      if (purged > 0) {
+        console.log(`Purged ${purged} archived ingest payloads`);
+      }
+    } catch (error) {
+      console.error('Error purging ingest log:', error);
+    }
+  };
+
+  tick();
+  return setInterval(tick, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  logIngest,
+  finishIngest,
+  getIngestLog,
+  getIngestEntry,
+  replayIngestLog,
+  startIngestLogCleanup
+};
@@ -0,0 +1,157 @@
+const { getSensor } = require('./sensors');
+const { storeReadings } = require('./readings');
+const { toSqliteTime } = require('./history');
+const { METRICS: SHARED_METRICS } = require('./metrics');
+
+const MAX_BATCH_SIZE = 500;
+const MAX_CLOCK_SKEW_MINUTES = 5;
+
+// Metrics DIY devices can send: sensor_readings column and accepted units
+// (the first unit is the default when none is given), from the shared metrics
+// table. Devices send uncalibrated moisture, stored as moisture_raw; calibrated
+// moisture and soil AD values are only derived or reported by Ecowitt gateways.
+const DEVICE_METRIC_NAMES = { moisture_raw: 'moisture' };
+const SERVER_ONLY_METRICS = ['moisture', 'soil_ad'];
+const EXTRA_UNITS = { temperature: ['C'] };
+
+const METRICS = {
+  ...Object.fromEntries(Object.entries(SHARED_METRICS)
+    .filter(([metric]) => !SERVER_ONLY_METRICS.includes(metric))
+    .map(([metric, { column, unit }]) => {
+      const name = DEVICE_METRIC_NAMES[metric] || metric;
+      return [name, { column, units: [unit, ...(EXTRA_UNITS[name] || [])] }];
+    })),
+  battery: { column: null, units: ['V', 'level'] }
+};
+
+// sensor_type for a new sensor, from the metrics it reports together (first match wins).
+// Sensors already in the registry keep their type. Temperature on its own is a
+// probe (compost, greenhouse, water tank), not an Ecowitt soil temperature sensor,
+// so it gets its own bounds and no soil temperature alerts.
+const TYPE_RULES = [
+  ['moisture', metrics => metrics.has('moisture')],
+  ['air_quality', metrics => metrics.has('co2') || metrics.has('pm25') || metrics.has('pm10')],
+  ['leaf_wetness', metrics => metrics.has('leaf_wetness')],
+  ['leak', metrics => metrics.has('leak')],
+  ['air', metrics => metrics.has('humidity')],
+  ['probe', metrics => metrics.has('temperature')]
+];
+
+// Epoch seconds, or anything Date understands (ISO 8601). Returns null if invalid.
+function parseTimestamp(value) {
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+// Check a JSON ingest body and group its readings into one row per sensor and timestamp.
+// Body is { readings: [{ sensor_id, metric, value, unit, timestamp }] } or the bare array.
+// Returns { readings } ready for storeReadings, or { error } describing the first problem.
+// A device can only write to its own sensors (or new ones), not to a gateway's.
+function parseJsonReadings(body, device = null) {
+  const items = Array.isArray(body) ? body : body && body.readings;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Body must be a non-empty readings array' };
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return { error: `At most ${MAX_BATCH_SIZE} readings per request` };
+  }
+
+  const latest = Date.now() + MAX_CLOCK_SKEW_MINUTES * 60 * 1000;
+  const groups = new Map();
+
+  for (const [i, item] of items.entries()) {
+    const label = `Reading ${i + 1}`;
+    const { sensor_id: sensorId, metric, unit } = item || {};
+    const spec = METRICS[metric];
+
+    if (typeof sensorId !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(sensorId)) {
+      return { error: `${label}: sensor_id must be 1-64 letters, digits, _ . or -` };
+    }
+    if (!spec) {
+      return { error: `${label}: unknown metric "${metric}" (expected one of ${Object.keys(METRICS).join(', ')})` };
+    }
+    if (unit !== undefined && !spec.units.includes(unit)) {
+      return { error: `${label}: unit for ${metric} must be ${spec.units.join(' or ')}` };
+    }
+
+    const value = Number(item.value); // true/false for leak
+    if (item.value === null || item.value === '' || !Number.isFinite(value)) {
+      return { error: `${label}: value must be a number` };
+    }
+
+    // Readings without a timestamp are left for storeReadings to stamp with the
+    // time they were received (the original receive time when replayed)
+    let timestamp = null;
+    if (item.timestamp !== undefined && item.timestamp !== null) {
+      const date = parseTimestamp(item.timestamp);
+      if (!date) {
+        return { error: `${label}: timestamp must be ISO 8601 or epoch seconds` };
+      }
+      if (date.getTime() > latest) {
+        return { error: `${label}: timestamp is in the future` };
+      }
+      timestamp = toSqliteTime(date);
+    }
+
+    const key = `${sensorId}|${timestamp}`;
+    if (!groups.has(key)) {
+      groups.set(key, { sensorId, timestamp, metrics: new Set(), values: {}, battery: undefined });
+    }
+    const group = groups.get(key);
+    group.metrics.add(metric);
+
+    if (metric === 'battery') {
+      group.battery = value;
+      group.batteryUnit = unit || spec.units[0];
+    } else if (metric === 'temperature' && unit === 'C') {
+      group.values.temperature_f = Math.round((value * 9 / 5 + 32) * 100) / 100;
+    } else {
+      group.values[spec.column] = value;
+    }
+  }
+
+  const readings = [];
+  for (const group of groups.values()) {
+    const sensor = getSensor(group.sensorId);
+    if (sensor && device && (sensor.gateway_id || (sensor.device_id && sensor.device_id !== device.id))) {
+      return { error: `Sensor ${group.sensorId} belongs to another gateway or device` };
+    }
+
+    const rule = TYPE_RULES.find(([, matches]) => matches(group.metrics));
+    const sensorType = sensor ? sensor.sensor_type : rule && rule[0];
+    if (!sensorType) {
+      return { error: `Sensor ${group.sensorId}: battery readings need a measurement alongside them` };
+    }
+
+    readings.push({
+      sensorType,
+      sensorId: group.sensorId,
+      channelName: group.sensorId,
+      values: group.values,
+      battery: group.battery,
+      batteryUnit: group.batteryUnit,
+      timestamp: group.timestamp
+    });
+  }
+
+  // Oldest first so validation sees readings in order; unstamped ones are the newest
+  readings.sort((a, b) => (
+    a.timestamp === null || b.timestamp === null
+      ? (a.timestamp === null) - (b.timestamp === null)
+      : a.timestamp.localeCompare(b.timestamp)
+  ));
+  return { readings };
+}
+
+// Store a JSON ingest body (options as for storeReadings). Throws if it doesn't parse.
+function ingestJsonReadings(body, options = {}, device = null) {
+  const { readings, error } = parseJsonReadings(body, device);
+  if (error) throw new Error(error);
+  return storeReadings(readings, { ...options, deviceId: device ? device.id : null });
+}
+
+module.exports = {
+  METRICS,
+  parseJsonReadings,
+  ingestJsonReadings
+};
@@ -0,0 +1,38 @@
+// Metrics stored in sensor_metrics, one row per metric per reading, with the
+// unit values are stored in and the column exposing them in the sensor_readings
+// view. Parsers fill reading values by column name.
+// The view, the rollup tables, history queries and the JSON ingest format are all
+// built from this table, so a new metric only needs an entry here (and
+// `npm run init-db` to rebuild the view and add its rollup columns).
+const METRICS = {
+  moisture: { column: 'moisture_percent', unit: '%' }, // calibrated when the sensor has a curve
+  moisture_raw: { column: 'moisture_raw_percent', unit: '%' }, // as reported by the sensor
+  soil_ad: { column: 'soil_ad', unit: 'ad' }, // raw AD value (soiladN)
+  temperature: { column: 'temperature_f', unit: 'F' },
+  humidity: { column: 'humidity', unit: '%' },
+  leaf_wetness: { column: 'leaf_wetness_percent', unit: '%' },
+  co2: { column: 'co2_ppm', unit: 'ppm' },
+  pm25: { column: 'pm25', unit: 'ug/m3' },
+  pm10: { column: 'pm10', unit: 'ug/m3' },
+  leak: { column: 'leak', unit: 'bool' }
+};
+
+// The sensor_readings view: one row per reading with a column per metric,
+// the shape readings were stored in before the long-format tables
+function buildReadingsViewSql() {
+  const columns = Object.entries(METRICS).map(([metric, { column }]) => `
+    (SELECT value FROM sensor_metrics WHERE observation_id = o.id AND metric = '${metric}') as ${column}`);
+
+  return `
+    CREATE VIEW sensor_readings AS
+    SELECT
+      o.id, o.sensor_id, o.sensor_name, o.sensor_type,${columns.join(',')},
+      o.battery_status, o.rejected, o.rejected_reason, o.ingest_id, o.gateway_id, o.timestamp
+    FROM sensor_observations o
+  `;
+}
+
+module.exports = {
+  METRICS,
+  buildReadingsViewSql
+};
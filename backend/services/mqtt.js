@@ -0,0 +1,190 @@
+const mqtt = require('mqtt');
+const { getSetting } = require('./alerts');
+const { publish, subscribe } = require('./events');
+const { logIngest, finishIngest } = require('./ingestLog');
+const { parseJsonReadings } = require('./jsonIngest');
+const { storeReadings } = require('./readings');
+const { toSqliteTime } = require('./history');
+const { getHomeAssistantWill, publishHomeAssistant, handleHomeAssistantMessage, forwardHomeAssistantEvents } = require('./homeAssistant');
+
+// Events published to MQTT: setting holding the topic template, and the event filter.
+// Templates can use {sensor_id}, {alert_type} and {task_id}.
+const OUTGOING = [
+  { setting: 'mqtt_reading_topic', type: 'reading', defaultTopic: 'garden/readings/{sensor_id}', retain: true },
+  { setting: 'mqtt_alert_topic', type: 'alert', defaultTopic: 'garden/alerts/{alert_type}', retain: false }
+];
+
+// Due tasks are published by the task reminder monitor instead (publishTaskDue),
+// which needs to know whether the broker got them
+const DEFAULT_TASK_TOPIC = 'garden/tasks/due';
+const TASK_PUBLISH_TIMEOUT_MS = 10 * 1000;
+
+let client = null;
+let unsubscribers = [];
+
+// Connection state, reported by /api/mqtt/status and pushed as 'mqtt_status' events
+const state = {
+  status: 'disabled', // disabled, connecting, connected, error
+  url: null,
+  error: null,
+  connected_at: null,
+  subscriptions: [],
+  published: 0,
+  received: 0
+};
+
+function setState(changes) {
+  Object.assign(state, changes);
+  publish('mqtt_status', getMqttStatus());
+}
+
+function getMqttStatus() {
+  return { ...state };
+}
+
+function fillTopic(template, data) {
+  return template.replace(/\{(\w+)\}/g, (_, key) => {
+    const value = key === 'task_id' ? data.task && data.task.id : data[key];
+    return value === undefined || value === null ? 'unknown' : String(value);
+  });
+}
+
+function getSubscribeTopics() {
+  return (getSetting('mqtt_subscribe_topics') || '')
+    .split(',')
+    .map(topic => topic.trim())
+    .filter(Boolean);
+}
+
+// Readings from other devices arrive as the same JSON the ingest API takes:
+// one { sensor_id, metric, value, unit, timestamp }, an array of them or { readings }.
+// They can't write to sensors that belong to a gateway or ingest device.
+// Messages are archived as { topic, readings } (there's no sender IP), which
+// replays parse like any other readings body.
+function handleMessage(topic, message) {
+  if (handleHomeAssistantMessage(client, topic, message)) return;
+  state.received++;
+  let body;
+  try {
+    body = JSON.parse(message.toString());
+  } catch (error) {
+    const archived = { topic, message: message.toString() };
+    finishIngest(logIngest('mqtt', null, archived, null, 'rejected'), 'rejected', { error: 'Not JSON' });
+    return;
+  }
+  if (body && !Array.isArray(body) && !body.readings) body = [body];
+  const archived = Array.isArray(body) ? { topic, readings: body } : { ...body, topic };
+
+  const { readings, error } = parseJsonReadings(body, { id: null });
+  if (error) {
+    finishIngest(logIngest('mqtt', null, archived, null, 'rejected'), 'rejected', { error });
+    console.error(`Rejected MQTT readings on ${topic}: ${error}`);
+    return;
+  }
+
+  const ingestId = logIngest('mqtt', null, archived);
+  try {
+    finishIngest(ingestId, 'ok', storeReadings(readings, { ingestId }));
+  } catch (error) {
+    console.error('Error processing MQTT readings:', error);
+    finishIngest(ingestId, 'error', { error: error.message });
+  }
+}
+
+// Forward bus events to their MQTT topics. The client queues messages
+// while it's reconnecting and sends them once the broker is back.
+function forwardEvents() {
+  const topics = OUTGOING.map(out => ({ ...out, template: getSetting(out.setting) || out.defaultTopic }));
+
+  return subscribe(({ type, data }) => {
+    if (!client) return;
+
+    for (const out of topics) {
+      if (out.type !== type || (out.filter && !out.filter(data))) continue;
+      client.publish(fillTopic(out.template, data), JSON.stringify(data), { retain: out.retain });
+      state.published++;
+    }
+  });
+}
+
+// Publish a task that has fallen due to mqtt_task_topic. Resolves true once the
+// broker acknowledges it (QoS 1), false when the bridge is off, not connected or
+// the publish fails, so the caller can try again later.
+function publishTaskDue(task) {
+  if (!client || state.status !== 'connected') return Promise.resolve(false);
+
+  const data = { action: 'due', task };
+  const topic = fillTopic(getSetting('mqtt_task_topic') || DEFAULT_TASK_TOPIC, data);
+
+  return new Promise(resolve => {
+    // A publish caught by a dropped connection may not be acknowledged for a while
+    const timer = setTimeout(() => resolve(false), TASK_PUBLISH_TIMEOUT_MS);
+    client.publish(topic, JSON.stringify(data), { qos: 1 }, (error) => {
+      clearTimeout(timer);
+      if (error) {
+        console.error(`Error publishing due task ${task.id}:`, error.message);
+        return resolve(false);
+      }
+      state.published++;
+      resolve(true);
+    });
+  });
+}
+
+function stopMqtt() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+  if (client) client.end(true);
+  client = null;
+}
+
+// Connect to the broker when mqtt_enabled is 'true', dropping any existing
+// connection first so changed settings take effect. The client reconnects on its own.
+function startMqttBridge() {
+  stopMqtt();
+
+  if (getSetting('mqtt_enabled') !== 'true') {
+    setState({ status: 'disabled', url: null, error: null, connected_at: null, subscriptions: [] });
+    return;
+  }
+
+  const url = getSetting('mqtt_url') || 'mqtt://localhost:1883';
+  const subscriptions = getSubscribeTopics();
+  setState({ status: 'connecting', url, error: null, subscriptions });
+
+  client = mqtt.connect(url, {
+    username: getSetting('mqtt_username') || undefined,
+    password: getSetting('mqtt_password') || undefined,
+    clientId: getSetting('mqtt_client_id') || `garden-dashboard-${Math.random().toString(16).slice(2, 8)}`,
+    reconnectPeriod: 5000,
+    connectTimeout: 10 * 1000,
+    will: getHomeAssistantWill()
+  });
+
+  client.on('connect', () => {
+    console.log(`MQTT connected to ${url}`);
+    setState({ status: 'connected', error: null, connected_at: toSqliteTime(new Date()) });
+    if (subscriptions.length > 0) client.subscribe(subscriptions);
+    publishHomeAssistant(client);
+  });
+  client.on('reconnect', () => {
+    if (state.status !== 'error') setState({ status: 'connecting' });
+  });
+  client.on('close', () => {
+    if (state.status === 'connected') setState({ status: 'connecting' });
+  });
+  // Reconnect attempts fail every few seconds while the broker is down; log each new error once
+  client.on('error', (error) => {
+    if (state.error !== error.message) console.error('MQTT error:', error.message);
+    setState({ status: 'error', error: error.message });
+  });
+  client.on('message', handleMessage);
+
+  unsubscribers = [forwardEvents(), forwardHomeAssistantEvents(client)];
+}
+
+module.exports = {
+  getMqttStatus,
+  publishTaskDue,
+  startMqttBridge
+};
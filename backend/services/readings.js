@@ -0,0 +1,140 @@
+const db = require('../models/db');
+const { checkMoistureAlert, checkTemperatureAlert } = require('./alerts');
+const { registerSensor } = require('./sensors');
+const { calibrateMoisture } = require('./calibration');
+const { publish } = require('./events');
+const { markSensorSeen } = require('./sensorHealth');
+const { recordBatteryReading, checkBatteryAlert } = require('./battery');
+const { VALUE_COLUMNS, validateReading, getSmoothedValue } = require('./validation');
+const { toSqliteTime } = require('./history');
+const { METRICS } = require('./metrics');
+
+// sensor_readings columns a sensor can fill, depending on its sensor_type.
+// Calibrated moisture is worked out here rather than sent.
+const READING_COLUMNS = Object.values(METRICS)
+  .map(m => m.column)
+  .filter(column => column !== 'moisture_percent');
+
+// Store parsed sensor readings from any ingest source and kick off alert checks.
+// Each reading is { sensorType, sensorId, channelName, values, battery } plus
+// optional channel, timestamp and batteryUnit (DIY sensors: 'V' or 'level');
+// values maps READING_COLUMNS to numbers.
+// Options:
+// - ingestId: ingest_log row the readings were parsed from
+// - gatewayId / deviceId: gateway or JSON ingest device that sent them
+// - timestamp: when they were received, for readings without their own (defaults to now)
+// - replay: re-parsing an archived payload, so skip live updates, battery
+//   tracking and alerts, which only make sense for new readings
+// Returns reading counts per sensor type, e.g. { readings: 3, moisture: 2, air: 1, rejected: 0 }.
+function storeReadings(readings, { ingestId = null, gatewayId = null, deviceId = null, timestamp = null, replay = false } = {}) {
+  const receivedAt = timestamp || toSqliteTime(new Date());
+
+  const insertObservation = db.prepare(`
+    INSERT INTO sensor_observations (
+      sensor_id, sensor_name, sensor_type, battery_status,
+      rejected, rejected_reason, ingest_id, gateway_id, timestamp
+    )
+    VALUES (
+      @sensor_id, @sensor_name, @sensor_type, @battery_status,
+      @rejected, @rejected_reason, @ingest_id, @gateway_id, @timestamp
+    )
+  `);
+  const insertMetric = db.prepare(`
+    INSERT INTO sensor_metrics (observation_id, sensor_id, metric, value, unit, timestamp)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  const readingIds = [];
+
+  const insertMany = db.transaction(() => {
+    // New sensors are added to the registry with the source's channel name.
+    // Readings that fail validation are stored flagged as rejected.
+    // Moisture is stored calibrated, with the sensor's own reading kept alongside.
+    // Each value becomes a sensor_metrics row; missing values aren't stored.
+    for (const reading of readings) {
+      const readingAt = reading.timestamp || receivedAt;
+      registerSensor(reading.sensorId, reading.channelName, reading.sensorType, {
+        gatewayId, deviceId, channel: reading.channel ?? null
+      });
+      reading.validation = validateReading(
+        reading.sensorId, reading.sensorType, reading.values[VALUE_COLUMNS[reading.sensorType]], readingAt
+      );
+
+      const values = {
+        ...reading.values,
+        moisture_percent: reading.sensorType === 'moisture'
+          ? calibrateMoisture(reading.sensorId, reading.values.moisture_raw_percent, reading.values.soil_ad)
+          : null
+      };
+      const result = insertObservation.run({
+        sensor_id: reading.sensorId,
+        sensor_name: reading.channelName,
+        sensor_type: reading.sensorType,
+        battery_status: reading.battery ?? null,
+        rejected: reading.validation.rejected ? 1 : 0,
+        rejected_reason: reading.validation.reason || null,
+        ingest_id: ingestId,
+        gateway_id: gatewayId,
+        timestamp: readingAt
+      });
+      for (const [metric, { column, unit }] of Object.entries(METRICS)) {
+        const value = values[column];
+        if (value === undefined || value === null) continue;
+        insertMetric.run(result.lastInsertRowid, reading.sensorId, metric, value, unit, readingAt);
+      }
+      readingIds.push(result.lastInsertRowid);
+      if (!replay && reading.battery !== undefined) recordBatteryReading(reading.sensorId, reading.battery, reading.batteryUnit);
+    }
+  });
+
+  insertMany();
+
+  const summary = { readings: readings.length };
+  for (const reading of readings) {
+    summary[reading.sensorType] = (summary[reading.sensorType] || 0) + 1;
+  }
+  summary.rejected = readings.filter(r => r.validation.rejected).length;
+
+  if (replay) return summary;
+
+  // Update sensor status and push accepted rows to live dashboards.
+  // A rejected reading still shows the sensor is alive; it's listed by
+  // /api/sensors/:sensorId/rejected rather than logged.
+  const getReading = db.prepare(`
+    SELECT r.sensor_id, r.sensor_type, r.moisture_percent, ${READING_COLUMNS.map(c => 'r.' + c).join(', ')},
+           r.battery_status, s.battery_low, r.rejected, r.timestamp
+    FROM sensor_readings r
+    LEFT JOIN sensors s ON r.sensor_id = s.sensor_id
+    WHERE r.id = ?
+  `);
+  for (const id of readingIds) {
+    const { rejected, ...reading } = getReading.get(id);
+    markSensorSeen(reading.sensor_id, reading.timestamp);
+    if (!rejected) publish('reading', reading);
+  }
+
+  // Check alerts for each accepted reading against the sensor's smoothed value
+  // (async, don't block the caller)
+  const accepted = readings.filter(r => !r.validation.rejected);
+  for (const reading of accepted.filter(r => r.sensorType === 'moisture')) {
+    checkMoistureAlert(reading.sensorId, getSmoothedValue(reading.sensorId, 'moisture'))
+      .catch(err => console.error('Moisture alert error:', err));
+  }
+
+  for (const reading of accepted.filter(r => r.sensorType === 'temperature')) {
+    checkTemperatureAlert(reading.sensorId, getSmoothedValue(reading.sensorId, 'temperature'))
+      .catch(err => console.error('Temperature alert error:', err));
+  }
+
+  for (const reading of readings.filter(r => r.battery !== undefined)) {
+    checkBatteryAlert(reading.sensorId)
+      .catch(err => console.error('Battery alert error:', err));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  READING_COLUMNS,
+  storeReadings
+};
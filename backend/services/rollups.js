@@ -0,0 +1,200 @@
+const db = require('../models/db');
+const { getSetting } = require('./alerts');
+const { METRICS } = require('./metrics');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const ROLLUP_INTERVAL_MINUTES = 60;
+
+// History spans up to this many hours are served from raw readings,
+// longer spans from hourly rollups, and anything past a month from daily rollups
+const RAW_MAX_HOURS = 48;
+const HOURLY_MAX_HOURS = 31 * 24;
+
+// Every metric in services/metrics.js gets min/max/avg columns in both rollup tables
+const METRIC_NAMES = Object.keys(METRICS);
+const ROLLUP_COLUMNS = `
+  sensor_id, bucket_start, sensor_type,
+  ${METRIC_NAMES.map(metric => `${metric}_min, ${metric}_max, ${metric}_avg`).join(',\n  ')},
+  sample_count`;
+
+// Hourly buckets from raw readings (the sensor_readings view)
+function hourlyRollupSql(where) {
+  const stats = Object.values(METRICS)
+    .map(({ column }) => `MIN(${column}), MAX(${column}), AVG(${column})`);
+
+  return `
+    INSERT INTO sensor_readings_hourly (${ROLLUP_COLUMNS})
+    SELECT
+      sensor_id,
+      strftime('%Y-%m-%d %H:00:00', timestamp) as bucket_start,
+      MAX(sensor_type),
+      ${stats.join(',\n      ')},
+      COUNT(*)
+    FROM sensor_readings
+    WHERE ${where} AND rejected = 0
+    GROUP BY sensor_id, bucket_start
+  `;
+}
+
+// Daily buckets from hourly ones, weighting averages by sample count
+function dailyRollupSql(where) {
+  const stats = METRIC_NAMES.map(metric => `MIN(${metric}_min), MAX(${metric}_max),
+      SUM(${metric}_avg * sample_count) / SUM(CASE WHEN ${metric}_avg IS NOT NULL THEN sample_count END)`);
+
+  return `
+    INSERT OR REPLACE INTO sensor_readings_daily (${ROLLUP_COLUMNS})
+    SELECT
+      sensor_id,
+      strftime('%Y-%m-%d 00:00:00', bucket_start) as day_start,
+      MAX(sensor_type),
+      ${stats.join(',\n      ')},
+      SUM(sample_count)
+    FROM sensor_readings_hourly
+    WHERE ${where}
+    GROUP BY sensor_id, day_start
+  `;
+}
+
+// Fold newly rolled-up readings into an hourly bucket that already has some.
+// Two-argument MIN/MAX return NULL if either side is, hence the COALESCEs.
+const MERGE_HOURLY = METRIC_NAMES.map(metric => `
+      ${metric}_min = COALESCE(MIN(${metric}_min, excluded.${metric}_min), ${metric}_min, excluded.${metric}_min),
+      ${metric}_max = COALESCE(MAX(${metric}_max, excluded.${metric}_max), ${metric}_max, excluded.${metric}_max),
+      ${metric}_avg = COALESCE(
+        (${metric}_avg * sample_count + excluded.${metric}_avg * excluded.sample_count) / (sample_count + excluded.sample_count),
+        ${metric}_avg, excluded.${metric}_avg
+      )`).join(',');
+
+// Roll readings that haven't been counted yet into their hourly buckets.
+// Readings are tracked individually (rolled_up) rather than by a time watermark,
+// so late or backdated ones (device timestamps, replays) still reach their own,
+// older bucket before the raw rows are purged.
+// Returns the buckets written and the sensor days they fall on.
+function rollupHourly() {
+  const days = db.prepare(`
+    SELECT DISTINCT sensor_id, strftime('%Y-%m-%d 00:00:00', timestamp) as day_start
+    FROM sensor_observations
+    WHERE rolled_up = 0 AND rejected = 0
+  `).all();
+
+  const hourly = db.prepare(`
+    ${hourlyRollupSql('id IN (SELECT id FROM sensor_observations WHERE rolled_up = 0)')}
+    ON CONFLICT (sensor_id, bucket_start) DO UPDATE SET
+      sensor_type = excluded.sensor_type,${MERGE_HOURLY},
+      sample_count = sample_count + excluded.sample_count
+  `).run().changes;
+
+  db.prepare('UPDATE sensor_observations SET rolled_up = 1 WHERE rolled_up = 0').run();
+  return { hourly, days };
+}
+
+// Recompute the daily buckets for the given sensor days from their hourly buckets
+function rollupDaily(days) {
+  const rollup = db.prepare(dailyRollupSql(`
+    sensor_id = ? AND bucket_start >= ? AND bucket_start < datetime(?, '+1 day')
+  `));
+
+  return days.reduce((total, { sensor_id, day_start }) => (
+    total + rollup.run(sensor_id, day_start, day_start).changes
+  ), 0);
+}
+
+// Days of raw readings kept before only rollups remain
+function getRawRetentionDays() {
+  return parseInt(getSetting('raw_retention_days')) || DEFAULT_RETENTION_DAYS;
+}
+
+// Delete raw readings (and their metrics, by cascade) older than the retention window.
+// Only rows already counted in an hourly rollup are removed.
+function purgeRawReadings() {
+  const retentionDays = getRawRetentionDays();
+
+  return db.prepare(`
+    DELETE FROM sensor_observations
+    WHERE timestamp < datetime('now', ?) AND rolled_up = 1
+  `).run(`-${retentionDays} days`).changes;
+}
+
+// Run the full rollup + retention cycle
+function runRollups() {
+  const run = db.transaction(() => {
+    const { hourly, days } = rollupHourly();
+    return {
+      hourly,
+      daily: rollupDaily(days),
+      purged: purgeRawReadings()
+    };
+  });
+
+  return run();
+}
+
+// Rebuild one sensor's rollups after its raw readings were rewritten (e.g. recalibrated).
+// Only hours still fully covered by raw readings are rebuilt; older rollups are left alone.
+function rebuildSensorRollups(sensorId, since = null) {
+  const earliest = db.prepare(`
+    SELECT MIN(timestamp) as timestamp FROM sensor_observations WHERE sensor_id = ?
+  `).get(sensorId).timestamp;
+  if (!earliest) return { hourly: 0, daily: 0 };
+
+  // First whole hour of raw data, so a partially purged hour isn't rolled up short
+  const { hourStart } = db.prepare(`
+    SELECT CASE
+      WHEN strftime('%M:%S', ?) = '00:00' THEN ?
+      ELSE strftime('%Y-%m-%d %H:00:00', ?, '+1 hour')
+    END as hourStart
+  `).get(earliest, earliest, earliest);
+
+  const sinceHour = since
+    ? db.prepare(`SELECT strftime('%Y-%m-%d %H:00:00', ?) as hour`).get(since).hour
+    : hourStart;
+  const start = sinceHour > hourStart ? sinceHour : hourStart;
+  const dayStart = start.slice(0, 10) + ' 00:00:00';
+
+  db.prepare('DELETE FROM sensor_readings_hourly WHERE sensor_id = ? AND bucket_start >= ?').run(sensorId, start);
+  const hourly = db.prepare(hourlyRollupSql('sensor_id = ? AND timestamp >= ?')).run(sensorId, start).changes;
+  // Counted now, so the next scheduled rollup doesn't add them again
+  db.prepare(`
+    UPDATE sensor_observations SET rolled_up = 1 WHERE sensor_id = ? AND timestamp >= ?
+  `).run(sensorId, start);
+
+  db.prepare('DELETE FROM sensor_readings_daily WHERE sensor_id = ? AND bucket_start >= ?').run(sensorId, dayStart);
+  const daily = db.prepare(dailyRollupSql('sensor_id = ? AND bucket_start >= ?')).run(sensorId, dayStart).changes;
+
+  return { hourly, daily };
+}
+
+// Pick the table to serve a history query from, based on the span in hours.
+// Ranges reaching back past the raw retention window fall back to hourly rollups.
+function pickResolution(hours, from = null) {
+  if (hours <= RAW_MAX_HOURS) {
+    const rawCutoff = Date.now() - getRawRetentionDays() * 24 * 60 * 60 * 1000;
+    if (!from || from.getTime() >= rawCutoff) return 'raw';
+  }
+  if (hours <= HOURLY_MAX_HOURS) return 'hourly';
+  return 'daily';
+}
+
+// Run rollups on startup and then on a fixed interval
+function startRollupScheduler() {
+  const tick = () => {
+    try {
+      const result = runRollups();
+      if (result.purged > 0) {
+        console.log(`Rollups updated, purged ${result.purged} raw readings`);
+      }
+    } catch (error) {
+      console.error('Error running sensor rollups:', error);
+    }
+  };
+
+  tick();
+  return setInterval(tick, ROLLUP_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  runRollups,
+  rebuildSensorRollups,
+  pickResolution,
+  startRollupScheduler
+};
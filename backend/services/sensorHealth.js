@@ -0,0 +1,102 @@
+const db = require('../models/db');
+const { sendNtfyNotification, recordAlert, getSetting } = require('./alerts');
+const { getSensorLabel } = require('./sensors');
+const { publish } = require('./events');
+
+const DEFAULT_STALE_MINUTES = 30;
+const CHECK_INTERVAL_MINUTES = 5;
+
+// Minutes of silence before a sensor counts as stale
+function getStaleMinutes() {
+  return parseInt(getSetting('stale_sensor_minutes')) || DEFAULT_STALE_MINUTES;
+}
+
+function setStatus(sensorId, status) {
+  db.prepare(`
+    UPDATE sensors SET status = ?, status_changed_at = CURRENT_TIMESTAMP
+    WHERE sensor_id = ?
+  `).run(status, sensorId);
+
+  const sensor = db.prepare('SELECT sensor_id, status, last_seen FROM sensors WHERE sensor_id = ?').get(sensorId);
+  publish('sensor_status', sensor);
+}
+
+// Send a status change notification. Offline/online alerts are one-shot
+// per transition, so they skip the repeat-alert cooldown.
+async function notifyStatusChange(sensorId, status, lastSeen) {
+  const sensorName = getSensorLabel(sensorId);
+
+  const alert = status === 'stale'
+    ? {
+      type: 'sensor_offline',
+      title: `${sensorName}: Sensor Offline`,
+      message: `No readings since ${lastSeen} UTC. Check the sensor battery and its range to the gateway.`,
+      tags: ['warning', 'satellite']
+    }
+    : {
+      type: 'sensor_online',
+      title: `${sensorName}: Back Online`,
+      message: 'Sensor is reporting again.',
+      tags: ['white_check_mark']
+    };
+
+  const sent = await sendNtfyNotification(alert.title, alert.message, 'default', alert.tags);
+  if (sent) {
+    recordAlert(sensorId, alert.type, alert.message);
+  }
+}
+
+// Record that a sensor just reported. Stale sensors come back online here
+// rather than waiting for the next health check.
+function markSensorSeen(sensorId, timestamp) {
+  db.prepare('UPDATE sensors SET last_seen = ? WHERE sensor_id = ?').run(timestamp, sensorId);
+
+  const sensor = db.prepare('SELECT status FROM sensors WHERE sensor_id = ?').get(sensorId);
+  if (sensor && sensor.status === 'stale') {
+    setStatus(sensorId, 'online');
+    notifyStatusChange(sensorId, 'online', timestamp)
+      .catch(err => console.error('Sensor status alert error:', err));
+  }
+}
+
+// Mark sensors stale once they've been silent longer than the configured window.
+// Sensors that have never reported are left alone.
+function checkSensorHealth() {
+  const staleSensors = db.prepare(`
+    SELECT sensor_id, last_seen FROM sensors
+    WHERE last_seen IS NOT NULL
+      AND last_seen < datetime('now', ?)
+      AND COALESCE(status, 'online') != 'stale'
+  `).all(`-${getStaleMinutes()} minutes`);
+
+  for (const sensor of staleSensors) {
+    setStatus(sensor.sensor_id, 'stale');
+    notifyStatusChange(sensor.sensor_id, 'stale', sensor.last_seen)
+      .catch(err => console.error('Sensor status alert error:', err));
+  }
+
+  return staleSensors.length;
+}
+
+// Check sensor health on startup and then on a fixed interval
+function startSensorHealthMonitor() {
+  const tick = () => {
+    try {
+      const stale = checkSensorHealth();
+      if (stale > 0) {
+        console.log(`Marked ${stale} sensor(s) stale`);
+      }
+    } catch (error) {
+      console.error('Error checking sensor health:', error);
+    }
+  };
+
+  tick();
+  return setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  markSensorSeen,
+  checkSensorHealth,
+  startSensorHealthMonitor
+};
@@ -0,0 +1,60 @@
+const db = require('../models/db');
+
+// Default hardware model for each sensor type the gateway reports
+const DEFAULT_MODELS = {
+  moisture: 'WH51',
+  temperature: 'WN34',
+  air: 'WH31',
+  leaf_wetness: 'WN35',
+  air_quality: 'WH45',
+  leak: 'WH55'
+};
+
+// Add a sensor to the registry the first time it reports, recording the
+// gateway channel or JSON ingest device it belongs to.
+// Existing entries are left untouched so user-defined names survive.
+function registerSensor(sensorId, defaultName, sensorType, { gatewayId = null, deviceId = null, channel = null } = {}) {
+  db.prepare(`
+    INSERT OR IGNORE INTO sensors (sensor_id, name, sensor_type, model, gateway_id, device_id, channel)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    sensorId, defaultName, sensorType, deviceId ? null : DEFAULT_MODELS[sensorType] || null,
+    gatewayId, deviceId, channel
+  );
+}
+
+// Sensor ids are namespaced by gateway so channel 1 on two gateways don't collide.
+// The default gateway's sensors keep plain ids (soil_moisture_1) so existing
+// installs keep their history; others are prefixed (gw2_soil_moisture_1).
+// Returns { sensorId, channelName }.
+function namespaceChannel(gateway, sensorId, channelName) {
+  if (!gateway || gateway.is_default) return { sensorId, channelName };
+  return {
+    sensorId: `gw${gateway.id}_${sensorId}`,
+    channelName: `${gateway.name} ${channelName}`
+  };
+}
+
+// Get a sensor's registry entry along with the bed it's installed in
+function getSensor(sensorId) {
+  return db.prepare(`
+    SELECT s.*, s.name as sensor_name, b.name as bed_name
+    FROM sensors s
+    LEFT JOIN beds b ON s.bed_id = b.id
+    WHERE s.sensor_id = ?
+  `).get(sensorId);
+}
+
+// Human-readable label for notifications, e.g. "Tomatoes north (Bed 1)"
+function getSensorLabel(sensorId) {
+  const sensor = getSensor(sensorId);
+  if (!sensor) return sensorId;
+  return sensor.bed_name ? `${sensor.name} (${sensor.bed_name})` : sensor.name;
+}
+
+module.exports = {
+  registerSensor,
+  namespaceChannel,
+  getSensor,
+  getSensorLabel
+};
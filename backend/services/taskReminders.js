@@ -0,0 +1,63 @@
+const db = require('../models/db');
+const { publish, subscribe } = require('./events');
+const { publishTaskDue } = require('./mqtt');
+
+const CHECK_INTERVAL_MINUTES = 15;
+
+// Publish each open task whose due date has arrived to MQTT, once per due date.
+// A task is only marked notified once the broker has it, so reminders wait
+// while MQTT is off or down. Each one is also published as a 'task' event with
+// action 'due'. Rescheduling a task arms it again. Resolves to the number sent.
+async function checkDueTasks() {
+  const tasks = db.prepare(`
+    SELECT t.*, p.name as plant_name
+    FROM tasks t
+    LEFT JOIN plants p ON t.plant_id = p.id
+    WHERE t.completed_at IS NULL
+      AND t.due_date <= date('now')
+      AND (t.due_notified_on IS NULL OR t.due_notified_on != t.due_date)
+    ORDER BY t.due_date ASC
+  `).all();
+
+  const markNotified = db.prepare('UPDATE tasks SET due_notified_on = due_date WHERE id = ?');
+  let sent = 0;
+  for (const task of tasks) {
+    if (!(await publishTaskDue(task))) continue;
+    markNotified.run(task.id);
+    publish('task', { action: 'due', task });
+    sent++;
+  }
+
+  return sent;
+}
+
+// Check on startup, whenever MQTT connects, and then on a fixed interval
+function startTaskDueMonitor() {
+  let checking = false;
+
+  // Skip a tick while the previous one is still waiting on the broker
+  const tick = async () => {
+    if (checking) return;
+    checking = true;
+    try {
+      await checkDueTasks();
+    } catch (error) {
+      console.error('Error checking due tasks:', error);
+    } finally {
+      checking = false;
+    }
+  };
+
+  // Send reminders held back while the broker was unreachable as soon as it's back
+  subscribe(({ type, data }) => {
+    if (type === 'mqtt_status' && data.status === 'connected') tick();
+  });
+
+  tick();
+  return setInterval(tick, CHECK_INTERVAL_MINUTES * 60 * 1000);
+}
+
+module.exports = {
+  checkDueTasks,
+  startTaskDueMonitor
+};
@@ -0,0 +1,115 @@
+const db = require('../models/db');
+const { getSetting } = require('./alerts');
+
+// Used for any part of the reading_validation setting that's missing
+// Moisture covers the full 0-100 range: a probe in air (0) or water (100) is
+// how the calibration wizard captures its dry and wet points.
+// Air sensors report exactly -40°F when their probe is disconnected, so the
+// minimum sits just above it. DIY temperature probes can sit in hot compost.
+const DEFAULT_VALIDATION = {
+  moisture: { min: 0, max: 100, max_change_per_minute: 15 },
+  temperature: { min: -20, max: 130, max_change_per_minute: 3 },
+  air: { min: -39.9, max: 140, max_change_per_minute: 3 },
+  probe: { min: -40, max: 200, max_change_per_minute: 3 },
+  leaf_wetness: { min: 0, max: 100, max_change_per_minute: 100 },
+  air_quality: { min: 300, max: 10000, max_change_per_minute: 500 },
+  median_window: 3
+};
+
+// Column each reading type is validated against. Moisture uses the gateway's
+// own percentage so a calibration change doesn't affect what counts as a glitch.
+// Types not listed (leak sensors) aren't validated.
+const VALUE_COLUMNS = {
+  moisture: 'moisture_raw_percent',
+  temperature: 'temperature_f',
+  air: 'temperature_f',
+  probe: 'temperature_f',
+  leaf_wetness: 'leaf_wetness_percent',
+  air_quality: 'co2_ppm'
+};
+
+// Column alerts are evaluated against
+const ALERT_COLUMNS = {
+  moisture: 'moisture_percent',
+  temperature: 'temperature_f'
+};
+
+function getValidationSettings() {
+  const value = getSetting('reading_validation');
+  const settings = value ? JSON.parse(value) : {};
+
+  const merged = { median_window: settings.median_window || DEFAULT_VALIDATION.median_window };
+  for (const type of Object.keys(VALUE_COLUMNS)) {
+    merged[type] = { ...DEFAULT_VALIDATION[type], ...settings[type] };
+  }
+  return merged;
+}
+
+// Check a new reading against physical bounds and the sensor's recent history.
+// Returns { rejected: false } or { rejected: true, reason }.
+// A jump bigger than the allowed rate of change is accepted once the previous
+// reading confirms it, so real step changes (like watering) only lose one reading.
+// History is compared as of `timestamp` so replayed payloads see the readings before them.
+function validateReading(sensorId, sensorType, value, timestamp) {
+  const limits = getValidationSettings()[sensorType];
+  const column = VALUE_COLUMNS[sensorType];
+  if (!limits || !column) return { rejected: false };
+
+  if (!Number.isFinite(value)) {
+    return { rejected: true, reason: 'not a number' };
+  }
+  if (value < limits.min || value > limits.max) {
+    return { rejected: true, reason: `outside ${limits.min} to ${limits.max}` };
+  }
+
+  const lastAccepted = db.prepare(`
+    SELECT ${column} as value,
+      (strftime('%s', ?) - strftime('%s', timestamp)) / 60.0 as minutes
+    FROM sensor_readings
+    WHERE sensor_id = ? AND rejected = 0 AND ${column} IS NOT NULL AND timestamp <= ?
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `).get(timestamp, sensorId, timestamp);
+  if (!lastAccepted) return { rejected: false };
+
+  const allowed = limits.max_change_per_minute * Math.max(1, lastAccepted.minutes);
+  const change = Math.abs(value - lastAccepted.value);
+  if (change <= allowed) return { rejected: false };
+
+  const previous = db.prepare(`
+    SELECT ${column} as value, rejected,
+      (strftime('%s', ?) - strftime('%s', timestamp)) / 60.0 as minutes
+    FROM sensor_readings
+    WHERE sensor_id = ? AND ${column} IS NOT NULL AND timestamp <= ?
+    ORDER BY timestamp DESC, id DESC LIMIT 1
+  `).get(timestamp, sensorId, timestamp);
+  const confirmAllowed = limits.max_change_per_minute * Math.max(1, previous.minutes);
+  if (previous.rejected && Math.abs(value - previous.value) <= confirmAllowed) {
+    return { rejected: false };
+  }
+
+  return { rejected: true, reason: `changed ${Math.round(change * 10) / 10} (max ${Math.round(allowed * 10) / 10})` };
+}
+
+// Median of the sensor's most recent accepted readings, used for alert checks
+function getSmoothedValue(sensorId, sensorType) {
+  const column = ALERT_COLUMNS[sensorType];
+  const window = getValidationSettings().median_window;
+
+  const values = db.prepare(`
+    SELECT ${column} as value FROM sensor_readings
+    WHERE sensor_id = ? AND rejected = 0 AND ${column} IS NOT NULL
+    ORDER BY id DESC LIMIT ?
+  `).all(sensorId, window).map(r => r.value).sort((a, b) => a - b);
+
+  if (values.length === 0) return null;
+
+  const mid = Math.floor(values.length / 2);
+  const median = values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+  return Math.round(median * 10) / 10;
+}
+
+module.exports = {
+  VALUE_COLUMNS,
+  validateReading,
+  getSmoothedValue
+};
@@ -0,0 +1,21 @@
+// Moisture bands behind the watering advice, shared by /api/weather/watering-advice
+// and the Home Assistant watering status entities
+const WATERING_STATUSES = ['critical', 'low', 'good', 'saturated'];
+
+function getWateringStatus(moisture) {
+  if (moisture < 20) {
+    return { status: 'critical', advice: 'Water immediately - soil is very dry' };
+  }
+  if (moisture < 35) {
+    return { status: 'low', advice: 'Consider watering soon' };
+  }
+  if (moisture > 70) {
+    return { status: 'saturated', advice: 'Soil is very wet - no watering needed' };
+  }
+  return { status: 'good', advice: 'Moisture levels are adequate' };
+}
+
+module.exports = {
+  WATERING_STATUSES,
+  getWateringStatus
+};
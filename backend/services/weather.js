@@ -0,0 +1,172 @@
+const { getSetting } = require('./alerts');
+const { roundCoordinate, buildCacheKey, getCacheEntry, setCached } = require('./weatherCache');
+const openMeteo = require('./weatherProviders/openMeteo');
+const nws = require('./weatherProviders/nws');
+const mock = require('./weatherProviders/mock');
+
+// Weather providers all return the same models (°F, mph, inches, WMO weather codes):
+// - getCurrent(location): { temperature, feels_like, humidity, precipitation,
+//   weather_code, weather_description?, wind_speed, wind_direction, time, timezone }
+// - getHourly(location, { hours }): { timezone, hours: [{ time, weather_code,
+//   weather_description?, temperature, humidity, precipitation,
+//   precipitation_probability, wind_speed, wind_gust }] }
+// - getDaily(location, { days }): { timezone, days: [{ date, weather_code,
+//   weather_description?, temp_high, temp_low, precipitation,
+//   precipitation_probability, wind_speed_max }] }
+// Fields a provider doesn't have are null.
+const PROVIDERS = Object.fromEntries([openMeteo, nws, mock].map(provider => [provider.name, provider]));
+
+const DEFAULT_PROVIDERS = ['open-meteo', 'nws'];
+
+// Each kind of weather data: the provider method, its options (part of the
+// cache key, so every caller shares one entry) and how long a fetch stays fresh
+const WEATHER_KINDS = {
+  current: { method: 'getCurrent', options: {}, ttlMinutes: 15 },
+  hourly: { method: 'getHourly', options: { hours: 48 }, ttlMinutes: 60 },
+  daily: { method: 'getDaily', options: { days: 7 }, ttlMinutes: 60 }
+};
+
+// Zone 10b approximate coordinates (Southern California / South Florida area)
+// You can override these with environment variables
+const DEFAULT_LAT = process.env.GARDEN_LAT || 32.7;
+const DEFAULT_LON = process.env.GARDEN_LON || -117.1;
+
+// After a failed request a provider isn't tried again for BACKOFF_BASE_SECONDS,
+// doubling with each further failure up to BACKOFF_MAX_MINUTES
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_MINUTES = 30;
+
+// Consecutive failures per provider and when it may be tried again
+const backoff = new Map();
+
+function isBackingOff(provider) {
+  const state = backoff.get(provider);
+  return !!state && Date.now() < state.retryAt;
+}
+
+function recordFailure(provider, error) {
+  const failures = (backoff.get(provider)?.failures || 0) + 1;
+  const delaySeconds = Math.min(BACKOFF_BASE_SECONDS * 2 ** (failures - 1), BACKOFF_MAX_MINUTES * 60);
+  backoff.set(provider, { failures, retryAt: Date.now() + delaySeconds * 1000, error: error.message });
+  console.error(`Weather provider ${provider} failed (${error.message}), retrying in ${delaySeconds}s`);
+}
+
+function recordSuccess(provider) {
+  if (backoff.has(provider)) {
+    console.log(`Weather provider ${provider} is reachable again`);
+    backoff.delete(provider);
+  }
+}
+
+// The garden's location, rounded like cache keys
+function getGardenLocation() {
+  return { lat: roundCoordinate(DEFAULT_LAT), lon: roundCoordinate(DEFAULT_LON) };
+}
+
+function isGardenLocation({ lat, lon }) {
+  const garden = getGardenLocation();
+  return roundCoordinate(lat) === garden.lat && roundCoordinate(lon) === garden.lon;
+}
+
+// Providers to try, in order: the WEATHER_PROVIDERS environment variable or the
+// weather_providers setting (comma-separated), e.g. "open-meteo,nws" or "mock"
+function getProviderOrder() {
+  const names = (process.env.WEATHER_PROVIDERS || getSetting('weather_providers') || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => PROVIDERS[name]);
+  return names.length > 0 ? names : DEFAULT_PROVIDERS;
+}
+
+// Every provider with whether it's in use and its backoff state
+function getProviderStatus() {
+  const order = getProviderOrder();
+  return Object.values(PROVIDERS).map(({ name, label }) => {
+    const state = backoff.get(name);
+    return {
+      name,
+      label,
+      priority: order.includes(name) ? order.indexOf(name) + 1 : null,
+      failures: state ? state.failures : 0,
+      retry_at: state && isBackingOff(name) ? new Date(state.retryAt).toISOString() : null,
+      last_error: state ? state.error : null
+    };
+  });
+}
+
+function cacheKey(provider, kind, location) {
+  return buildCacheKey(provider, kind, location.lat, location.lon, WEATHER_KINDS[kind].options);
+}
+
+function toResult(provider, cached) {
+  return { data: cached.data, provider, stale: cached.expired, fetched_at: cached.fetched_at, age_minutes: cached.age_minutes };
+}
+
+// Stored weather without contacting any provider: the first provider (in the
+// configured order) with a fresh entry, otherwise the most recent entry from
+// any of them, however old. Null when nothing is stored.
+// Returns { data, provider, stale, fetched_at, age_minutes }.
+function readWeather(kind, location) {
+  const entries = getProviderOrder()
+    .map(name => ({ name, cached: getCacheEntry(cacheKey(name, kind, location)) }))
+    .filter(entry => entry.cached);
+  if (entries.length === 0) return null;
+
+  const fresh = entries.find(entry => !entry.cached.expired);
+  const { name, cached } = fresh || entries.sort((a, b) => a.cached.age_minutes - b.cached.age_minutes)[0];
+  return toResult(name, cached);
+}
+
+// Fetch and store weather from the first provider that answers, skipping any
+// backing off after failing. Throws when none of them can be reached.
+async function refreshWeather(kind, location) {
+  const { method, options, ttlMinutes } = WEATHER_KINDS[kind];
+  let lastError = null;
+
+  for (const name of getProviderOrder()) {
+    if (isBackingOff(name)) continue;
+
+    try {
+      const data = await PROVIDERS[name][method](location, options);
+      recordSuccess(name);
+      const key = cacheKey(name, kind, location);
+      setCached(key, { provider: name, endpoint: kind, lat: location.lat, lon: location.lon }, data, ttlMinutes);
+      return toResult(name, getCacheEntry(key));
+    } catch (error) {
+      recordFailure(name, error);
+      lastError = error;
+    }
+  }
+
+  throw new Error(lastError
+    ? `No weather provider could be reached (${lastError.message})`
+    : 'Every weather provider is backing off after failing');
+}
+
+// Weather for a location, as route handlers see it. The garden's is kept fresh
+// by the prefetch scheduler, so it's served from the store even when stale;
+// providers are only asked directly when nothing is stored yet, or for other
+// locations once their entry has expired (falling back to the stale entry).
+// Returns { data, provider, stale, fetched_at, age_minutes }.
+async function getWeather(kind, location) {
+  const stored = readWeather(kind, location);
+  if (stored && (!stored.stale || isGardenLocation(location))) return stored;
+
+  try {
+    return await refreshWeather(kind, location);
+  } catch (error) {
+    if (stored) return stored;
+    throw error;
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  WEATHER_KINDS,
+  getGardenLocation,
+  getProviderOrder,
+  getProviderStatus,
+  readWeather,
+  refreshWeather,
+  getWeather
+};
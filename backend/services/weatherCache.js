@@ -0,0 +1,57 @@
+const db = require('../models/db');
+const { toSqliteTime } = require('./history');
+
+// Expired entries are kept as a fallback for when the provider is unreachable,
+// and pruned once they're this old
+const KEEP_EXPIRED_HOURS = 7 * 24;
+
+// Coordinates are rounded to 2 decimals (about 1 km) so nearby requests share an entry
+function roundCoordinate(value) {
+  return Math.round(Number(value) * 100) / 100;
+}
+
+// Entries are keyed by provider, endpoint, rounded coordinates and the request
+// options, e.g. open-meteo:daily:32.7,-117.1:days=7
+function buildCacheKey(provider, endpoint, lat, lon, params) {
+  const options = Object.keys(params)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+  return `${provider}:${endpoint}:${roundCoordinate(lat)},${roundCoordinate(lon)}:${options}`;
+}
+
+// Cache entry for a key as { data, fetched_at, age_minutes, expired }, or null.
+// Expired entries are still returned so callers can fall back to them.
+function getCacheEntry(key) {
+  const now = toSqliteTime(new Date());
+  const row = db.prepare(`
+    SELECT data, fetched_at,
+      CAST((strftime('%s', ?) - strftime('%s', fetched_at)) / 60 AS INTEGER) as age_minutes,
+      expires_at <= ? as expired
+    FROM weather_cache WHERE cache_key = ?
+  `).get(now, now, key);
+
+  if (!row) return null;
+  return { ...row, data: JSON.parse(row.data), expired: !!row.expired };
+}
+
+// Store data under a key for ttlMinutes, replacing any earlier entry
+function setCached(key, { provider, endpoint, lat, lon }, data, ttlMinutes) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+  db.prepare(`
+    INSERT OR REPLACE INTO weather_cache (cache_key, provider, endpoint, lat, lon, data, fetched_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(key, provider, endpoint, lat, lon, JSON.stringify(data), toSqliteTime(now), toSqliteTime(expiresAt));
+
+  const cutoff = new Date(now.getTime() - KEEP_EXPIRED_HOURS * 60 * 60 * 1000);
+  db.prepare('DELETE FROM weather_cache WHERE expires_at < ?').run(toSqliteTime(cutoff));
+}
+
+module.exports = {
+  roundCoordinate,
+  buildCacheKey,
+  getCacheEntry,
+  setCached
+};
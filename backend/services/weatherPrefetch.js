@@ -0,0 +1,101 @@
+const { WEATHER_KINDS, getGardenLocation, readWeather, refreshWeather } = require('./weather');
+const { toSqliteTime } = require('./history');
+
+// How often each kind is refreshed for the garden, well inside its cache TTL so
+// the dashboard doesn't find it expired while the scheduler is healthy
+const REFRESH_MINUTES = {
+  current: 10,
+  hourly: 30,
+  daily: 30
+};
+
+// After a failed refresh, try again sooner (each provider's backoff still applies)
+const RETRY_MINUTES = 2;
+
+// Last outcome per kind, reported by /api/weather/prefetch
+const state = Object.fromEntries(Object.keys(REFRESH_MINUTES).map(kind => [kind, {
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastErrorAt: null,
+  lastError: null,
+  provider: null,
+  nextRunAt: null
+}]));
+
+function getPrefetchStatus() {
+  return {
+    location: getGardenLocation(),
+    jobs: Object.entries(REFRESH_MINUTES).map(([kind, minutes]) => {
+      const job = state[kind];
+      return {
+        kind,
+        interval_minutes: minutes,
+        ttl_minutes: WEATHER_KINDS[kind].ttlMinutes,
+        status: !job.lastRunAt ? 'pending' : job.lastRunAt === job.lastSuccessAt ? 'ok' : 'error',
+        provider: job.provider,
+        last_run_at: job.lastRunAt,
+        last_success_at: job.lastSuccessAt,
+        last_error_at: job.lastErrorAt,
+        last_error: job.lastError,
+        next_run_at: job.nextRunAt
+      };
+    })
+  };
+}
+
+function schedule(kind, tick, minutes) {
+  state[kind].nextRunAt = toSqliteTime(new Date(Date.now() + minutes * 60 * 1000));
+  setTimeout(tick, minutes * 60 * 1000);
+}
+
+// Refresh current conditions, the hourly forecast and the daily forecast for the
+// garden on their own cadences, so route handlers only read from the cache.
+// Data still fresh from before a restart isn't fetched again until it's due.
+// The first refreshes run one after another, so a provider that's down fails
+// once and is then skipped while it backs off.
+async function startWeatherPrefetch() {
+  const due = [];
+
+  for (const kind of Object.keys(REFRESH_MINUTES)) {
+    const job = state[kind];
+
+    const tick = async () => {
+      job.lastRunAt = toSqliteTime(new Date());
+      try {
+        const { provider } = await refreshWeather(kind, getGardenLocation());
+        job.lastSuccessAt = job.lastRunAt;
+        job.provider = provider;
+        schedule(kind, tick, REFRESH_MINUTES[kind]);
+      } catch (error) {
+        job.lastErrorAt = job.lastRunAt;
+        job.lastError = error.message;
+        console.error(`Error prefetching ${kind} weather:`, error.message);
+        schedule(kind, tick, RETRY_MINUTES);
+      }
+    };
+
+    // A failed cache read just means refreshing now; the tick logs its own errors
+    let stored = null;
+    try {
+      stored = readWeather(kind, getGardenLocation());
+    } catch (error) {
+      console.error(`Error reading cached ${kind} weather:`, error.message);
+    }
+
+    if (stored && !stored.stale && stored.age_minutes < REFRESH_MINUTES[kind]) {
+      job.provider = stored.provider;
+      schedule(kind, tick, REFRESH_MINUTES[kind] - stored.age_minutes);
+    } else {
+      due.push(tick);
+    }
+  }
+
+  for (const tick of due) {
+    await tick();
+  }
+}
+
+module.exports = {
+  getPrefetchStatus,
+  startWeatherPrefetch
+};
@@ -0,0 +1,19 @@
+const FETCH_TIMEOUT_SECONDS = 10;
+
+// GET a JSON document, failing on HTTP errors or after FETCH_TIMEOUT_SECONDS
+async function fetchJson(url, { label, headers = {} } = {}) {
+  const response = await fetch(url.toString(), {
+    headers,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_SECONDS * 1000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`${label || 'Weather'} API error: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  fetchJson
+};
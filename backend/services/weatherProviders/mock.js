@@ -0,0 +1,90 @@
+// Made-up weather for working on the dashboard offline. Values are derived from
+// the location and date, so they're stable between requests. The third day
+// always brings rain, to exercise the rain advice.
+
+// Warmer toward the equator, roughly
+function baseTemperature({ lat }) {
+  return Math.round(95 - Math.abs(lat) * 0.6);
+}
+
+function localDate(offsetDays) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + offsetDays);
+  return date.toISOString().slice(0, 10);
+}
+
+// Coolest around 4am, warmest around 4pm
+function temperatureAt(location, hour) {
+  return Math.round((baseTemperature(location) - 8 - 8 * Math.cos((hour - 4) / 24 * 2 * Math.PI)) * 10) / 10;
+}
+
+async function getCurrent(location) {
+  const now = new Date();
+  const temperature = temperatureAt(location, now.getUTCHours() + now.getUTCMinutes() / 60);
+
+  return {
+    temperature,
+    feels_like: temperature,
+    humidity: 55,
+    precipitation: 0,
+    weather_code: 1,
+    wind_speed: 6,
+    wind_direction: 270,
+    time: now.toISOString().slice(0, 13) + ':00',
+    timezone: 'UTC'
+  };
+}
+
+async function getDaily(location, { days }) {
+  const base = baseTemperature(location);
+
+  return {
+    timezone: 'UTC',
+    days: Array.from({ length: days }, (_, i) => {
+      const rainy = i === 2;
+      return {
+        date: localDate(i),
+        weather_code: rainy ? 63 : [0, 1, 2][i % 3],
+        temp_high: base + [0, 2, -6, -2, 1, 3, 0][i % 7],
+        temp_low: base - 16,
+        precipitation: rainy ? 0.6 : 0,
+        precipitation_probability: rainy ? 80 : 10,
+        wind_speed_max: rainy ? 18 : 9
+      };
+    })
+  };
+}
+
+// Rain falls through the afternoon of the third day, matching getDaily
+async function getHourly(location, { hours }) {
+  const start = new Date();
+  start.setUTCMinutes(0, 0, 0);
+  const rainyDate = localDate(2);
+
+  return {
+    timezone: 'UTC',
+    hours: Array.from({ length: hours }, (_, i) => {
+      const time = new Date(start.getTime() + i * 60 * 60 * 1000);
+      const hour = time.getUTCHours();
+      const raining = time.toISOString().slice(0, 10) === rainyDate && hour >= 12 && hour < 18;
+      return {
+        time: time.toISOString().slice(0, 13) + ':00',
+        weather_code: raining ? 63 : 1,
+        temperature: temperatureAt(location, hour),
+        humidity: raining ? 90 : 55,
+        precipitation: raining ? 0.1 : 0,
+        precipitation_probability: raining ? 80 : 10,
+        wind_speed: raining ? 14 : 6,
+        wind_gust: raining ? 25 : 12
+      };
+    })
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  label: 'Mock (offline)',
+  getCurrent,
+  getDaily,
+  getHourly
+};
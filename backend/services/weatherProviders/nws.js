@@ -0,0 +1,204 @@
+const { fetchJson } = require('./fetchJson');
+
+// US National Weather Service (api.weather.gov). US locations only; no API key,
+// but requests must identify the application.
+const BASE_URL = 'https://api.weather.gov';
+const HEADERS = {
+  'User-Agent': 'garden-dashboard (https://github.com/keith-hazleton/garden-dashboard)',
+  Accept: 'application/geo+json'
+};
+
+// WMO codes for NWS forecast text, first match wins
+const FORECAST_CODES = [
+  [/thunder/i, 95],
+  [/snow|blizzard/i, 73],
+  [/freezing|sleet|ice/i, 66],
+  [/showers/i, 80],
+  [/rain/i, 63],
+  [/drizzle/i, 53],
+  [/fog|haze|smoke/i, 45],
+  [/overcast|^cloudy|mostly cloudy/i, 3],
+  [/partly/i, 2],
+  [/mostly (sunny|clear)/i, 1],
+  [/sunny|clear|fair/i, 0]
+];
+
+const COMPASS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Grid point lookups don't change, so they're kept for the life of the process
+const points = new Map();
+
+function forecastCode(text) {
+  const match = FORECAST_CODES.find(([pattern]) => pattern.test(text || ''));
+  return match ? match[1] : 3;
+}
+
+// "5 to 10 mph" -> 10
+function parseWindSpeed(text) {
+  const speeds = String(text || '').match(/\d+/g);
+  return speeds ? Math.max(...speeds.map(Number)) : null;
+}
+
+function compassToDegrees(direction) {
+  const index = COMPASS.indexOf(direction);
+  return index === -1 ? null : index * 22.5;
+}
+
+function toFahrenheit(value, unit) {
+  if (value === null || value === undefined) return null;
+  return unit === 'C' ? Math.round((value * 9 / 5 + 32) * 10) / 10 : value;
+}
+
+// Forecast URLs and time zone for a location
+async function getPoint({ lat, lon }) {
+  const key = `${lat},${lon}`;
+  if (!points.has(key)) {
+    const data = await fetchJson(`${BASE_URL}/points/${lat},${lon}`, { label: 'NWS', headers: HEADERS });
+    points.set(key, data.properties);
+  }
+  return points.get(key);
+}
+
+// The first hourly forecast period stands in for current conditions;
+// station observations are often missing values
+async function getCurrent(location) {
+  const point = await getPoint(location);
+  const hourly = await fetchJson(point.forecastHourly, { label: 'NWS', headers: HEADERS });
+  const period = hourly.properties.periods[0];
+
+  return {
+    temperature: toFahrenheit(period.temperature, period.temperatureUnit),
+    feels_like: null,
+    humidity: period.relativeHumidity ? period.relativeHumidity.value : null,
+    precipitation: null,
+    weather_code: forecastCode(period.shortForecast),
+    weather_description: period.shortForecast,
+    wind_speed: parseWindSpeed(period.windSpeed),
+    wind_direction: compassToDegrees(period.windDirection),
+    time: period.startTime.slice(0, 16),
+    timezone: point.timeZone
+  };
+}
+
+// "P1DT6H" -> 30
+function durationHours(duration) {
+  const match = String(duration).match(/P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/);
+  return match ? (Number(match[1] || 0) * 24 + Number(match[2] || 0)) || 1 : 1;
+}
+
+// Grid data values cover intervals such as "2026-10-18T12:00:00+00:00/PT6H".
+// Returns the value for the interval containing time, and the interval's length in hours.
+function gridValueAt(series, time) {
+  for (const { validTime, value } of series?.values || []) {
+    const [start, duration] = validTime.split('/');
+    const hours = durationHours(duration);
+    const from = new Date(start).getTime();
+    if (time >= from && time < from + hours * 60 * 60 * 1000) {
+      return { value, hours };
+    }
+  }
+  return null;
+}
+
+// Rain totals per local date from the grid's quantitativePrecipitation (mm per interval,
+// e.g. "2026-10-18T12:00:00+00:00/PT6H"), attributed to the day each interval starts
+function dailyPrecipitation(grid, timeZone) {
+  const toDate = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const totals = {};
+
+  for (const { validTime, value } of grid.properties.quantitativePrecipitation?.values || []) {
+    if (value === null) continue;
+    const date = toDate.format(new Date(validTime.split('/')[0]));
+    totals[date] = (totals[date] || 0) + value / 25.4;
+  }
+  return totals;
+}
+
+// NWS forecasts come in 12-hour day and night periods; each date takes its high,
+// conditions and wind from the day period and its low from the night
+async function getDaily(location, { days }) {
+  const point = await getPoint(location);
+  const [forecast, grid] = await Promise.all([
+    fetchJson(point.forecast, { label: 'NWS', headers: HEADERS }),
+    fetchJson(point.forecastGridData, { label: 'NWS', headers: HEADERS })
+  ]);
+  const rain = dailyPrecipitation(grid, point.timeZone);
+
+  const byDate = new Map();
+  for (const period of forecast.properties.periods) {
+    const date = period.startTime.slice(0, 10);
+    if (!byDate.has(date)) {
+      byDate.set(date, {
+        date,
+        weather_code: null,
+        weather_description: null,
+        temp_high: null,
+        temp_low: null,
+        precipitation: rain[date] !== undefined ? Math.round(rain[date] * 100) / 100 : null,
+        precipitation_probability: 0,
+        wind_speed_max: null
+      });
+    }
+
+    const day = byDate.get(date);
+    const temperature = toFahrenheit(period.temperature, period.temperatureUnit);
+    if (period.isDaytime || day.weather_code === null) {
+      day.weather_code = forecastCode(period.shortForecast);
+      day.weather_description = period.shortForecast;
+    }
+    if (period.isDaytime) {
+      day.temp_high = temperature;
+    } else {
+      day.temp_low = temperature;
+    }
+    day.precipitation_probability = Math.max(
+      day.precipitation_probability, period.probabilityOfPrecipitation?.value || 0
+    );
+    day.wind_speed_max = Math.max(day.wind_speed_max || 0, parseWindSpeed(period.windSpeed) || 0);
+  }
+
+  return {
+    timezone: point.timeZone,
+    days: [...byDate.values()].slice(0, days)
+  };
+}
+
+// Hourly periods have temperature, humidity, rain chance and wind; rain amounts
+// (spread evenly over each grid interval) and gusts come from the grid data
+async function getHourly(location, { hours }) {
+  const point = await getPoint(location);
+  const [hourly, grid] = await Promise.all([
+    fetchJson(point.forecastHourly, { label: 'NWS', headers: HEADERS }),
+    fetchJson(point.forecastGridData, { label: 'NWS', headers: HEADERS })
+  ]);
+
+  return {
+    timezone: point.timeZone,
+    hours: hourly.properties.periods.slice(0, hours).map(period => {
+      const time = new Date(period.startTime).getTime();
+      const rain = gridValueAt(grid.properties.quantitativePrecipitation, time);
+      const gust = gridValueAt(grid.properties.windGust, time);
+
+      return {
+        time: period.startTime.slice(0, 16),
+        weather_code: forecastCode(period.shortForecast),
+        weather_description: period.shortForecast,
+        temperature: toFahrenheit(period.temperature, period.temperatureUnit),
+        humidity: period.relativeHumidity ? period.relativeHumidity.value : null,
+        precipitation: rain && rain.value !== null ? Math.round(rain.value / rain.hours / 25.4 * 100) / 100 : null,
+        precipitation_probability: period.probabilityOfPrecipitation?.value ?? null,
+        wind_speed: parseWindSpeed(period.windSpeed),
+        // km/h -> mph
+        wind_gust: gust && gust.value !== null ? Math.round(gust.value * 0.621371) : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  name: 'nws',
+  label: 'National Weather Service',
+  getCurrent,
+  getDaily,
+  getHourly
+};
@@ -0,0 +1,85 @@
+const { fetchJson } = require('./fetchJson');
+
+const BASE_URL = 'https://api.open-meteo.com/v1/forecast';
+
+const UNITS = {
+  temperature_unit: 'fahrenheit',
+  wind_speed_unit: 'mph',
+  precipitation_unit: 'inch',
+  timezone: 'auto'
+};
+
+function request({ lat, lon }, params) {
+  const url = new URL(BASE_URL);
+  Object.entries({ latitude: lat, longitude: lon, ...params, ...UNITS }).forEach(([key, value]) => {
+    url.searchParams.append(key, value);
+  });
+  return fetchJson(url, { label: 'Open-Meteo' });
+}
+
+async function getCurrent(location) {
+  const data = await request(location, {
+    current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,wind_speed_10m,wind_direction_10m'
+  });
+
+  return {
+    temperature: data.current.temperature_2m,
+    feels_like: data.current.apparent_temperature,
+    humidity: data.current.relative_humidity_2m,
+    precipitation: data.current.precipitation,
+    weather_code: data.current.weather_code,
+    wind_speed: data.current.wind_speed_10m,
+    wind_direction: data.current.wind_direction_10m,
+    time: data.current.time,
+    timezone: data.timezone
+  };
+}
+
+async function getDaily(location, { days }) {
+  const data = await request(location, {
+    daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+    forecast_days: days
+  });
+
+  return {
+    timezone: data.timezone,
+    days: data.daily.time.map((date, i) => ({
+      date,
+      weather_code: data.daily.weather_code[i],
+      temp_high: data.daily.temperature_2m_max[i],
+      temp_low: data.daily.temperature_2m_min[i],
+      precipitation: data.daily.precipitation_sum[i],
+      precipitation_probability: data.daily.precipitation_probability_max[i],
+      wind_speed_max: data.daily.wind_speed_10m_max[i]
+    }))
+  };
+}
+
+async function getHourly(location, { hours }) {
+  const data = await request(location, {
+    hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,weather_code,wind_speed_10m,wind_gusts_10m',
+    forecast_hours: hours
+  });
+
+  return {
+    timezone: data.timezone,
+    hours: data.hourly.time.map((time, i) => ({
+      time,
+      weather_code: data.hourly.weather_code[i],
+      temperature: data.hourly.temperature_2m[i],
+      humidity: data.hourly.relative_humidity_2m[i],
+      precipitation: data.hourly.precipitation[i],
+      precipitation_probability: data.hourly.precipitation_probability[i],
+      wind_speed: data.hourly.wind_speed_10m[i],
+      wind_gust: data.hourly.wind_gusts_10m[i]
+    }))
+  };
+}
+
+module.exports = {
+  name: 'open-meteo',
+  label: 'Open-Meteo',
+  getCurrent,
+  getDaily,
+  getHourly
+};
@@ -0,0 +1,64 @@
+// Weather Underground upload protocol (GET /weatherstation/updateweatherstation.php),
+// used by older Ecowitt gateways and third-party stations like Ambient and WeeWX.
+// Fields are always imperial; extra sensors are numbered from 2 (soiltempf, soiltemp2f, ...).
+
+// Wunderground query key -> Ecowitt webhook key
+const FIELD_MAP = {
+  tempf: 'tempf',
+  humidity: 'humidity',
+  indoortempf: 'tempinf',
+  indoorhumidity: 'humidityin',
+  windspeedmph: 'windspeedmph',
+  windgustmph: 'windgustmph',
+  winddir: 'winddir',
+  rainin: 'hourlyrainin', // rain over the past hour
+  dailyrainin: 'dailyrainin',
+  baromin: 'baromrelin',
+  absbaromin: 'baromabsin',
+  solarradiation: 'solarradiation',
+  UV: 'uv'
+};
+
+// Numbered sensors: the first has no number (soilmoisture), later ones do (soilmoisture2)
+const CHANNEL_FIELDS = [
+  { pattern: /^soilmoisture(\d*)$/, key: n => `soilmoisture${n}` },
+  { pattern: /^soiltemp(\d*)f$/, key: n => `soiltemp${n}f` },
+  { pattern: /^leafwetness(\d*)$/, key: n => `leafwetness_ch${n}` },
+  { pattern: /^temp(\d+)f$/, key: n => `temp${n}f` }
+];
+
+// Turn a Wunderground query into the keys the Ecowitt webhook sends, so it goes
+// through ingestEcowittPayload. The station PASSWORD and ID together stand in for
+// the gateway PASSKEY: the ID alone is public, so it can't identify a gateway.
+// The ID goes last so masked passkeys and gateway names show it, not the password.
+// Stations without both are treated like posts with no PASSKEY.
+function parseWundergroundParams(query) {
+  const data = {};
+
+  if (query.ID && query.PASSWORD) data.PASSKEY = `${query.PASSWORD}:${query.ID}`;
+  if (query.softwaretype) data.stationtype = query.softwaretype;
+  if (query.dateutc) data.dateutc = query.dateutc; // "now" or a UTC time, as Ecowitt sends it
+
+  for (const [field, value] of Object.entries(query)) {
+    if (value === '' || value === undefined) continue;
+
+    if (FIELD_MAP[field]) {
+      data[FIELD_MAP[field]] = value;
+      continue;
+    }
+
+    for (const { pattern, key } of CHANNEL_FIELDS) {
+      const match = field.match(pattern);
+      if (match) {
+        data[key(match[1] || 1)] = value;
+        break;
+      }
+    }
+  }
+
+  return data;
+}
+
+module.exports = {
+  parseWundergroundParams
+};
@@ -7,10 +7,16 @@ import PlantingCalendar from './components/PlantingCalendar'
 import BedManager from './components/BedManager'
 import TaskManager from './components/TaskManager'
 import MoistureChart from './components/MoistureChart'
+import BatteryStatus from './components/BatteryStatus'
+import MqttStatus from './components/MqttStatus'
+import useServerEvents from './hooks/useServerEvents'
 
 function App() {
   const [lastUpdated, setLastUpdated] = useState(null)
   const [refreshKey, setRefreshKey] = useState(0)
+  // Live cards (sensors, chart, tasks) update from the event stream and
+  // only remount when the user explicitly refreshes
+  const [manualRefreshKey, setManualRefreshKey] = useState(0)
   const [watchedKey, setWatchedKey] = useState(0)
   const [theme, setTheme] = useState(() => {
     return localStorage.getItem('theme') || 'dark'
@@ -29,7 +35,7 @@ function App() {
   useEffect(() => {
     setLastUpdated(new Date())
 
-    // Auto-refresh every 5 minutes
+    // Auto-refresh the cards that aren't fed by the event stream every 5 minutes
     const interval = setInterval(() => {
       setRefreshKey(k => k + 1)
       setLastUpdated(new Date())
@@ -40,9 +46,14 @@ function App() {
 
   const handleRefresh = () => {
     setRefreshKey(k => k + 1)
+    setManualRefreshKey(k => k + 1)
     setLastUpdated(new Date())
   }
 
+  const live = useServerEvents((type) => {
+    if (type === 'reading') setLastUpdated(new Date())
+  })
+
   // Called when a plant is starred/unstarred
   const handleWatchChange = () => {
     setWatchedKey(k => k + 1)
@@ -58,6 +69,13 @@ function App() {
         <div className="last-updated">
           {lastUpdated && (
             <>
+              <MqttStatus />
+              <span
+                title={live ? 'Receiving live sensor updates' : 'Live updates unavailable - refreshing every 5 minutes'}
+                style={{ marginRight: '0.75rem', color: live ? 'var(--accent-green)' : 'var(--text-secondary)' }}
+              >
+                ● {live ? 'Live' : 'Polling'}
+              </span>
               Updated: {lastUpdated.toLocaleTimeString()}
               <button
                 className="btn btn-secondary"
@@ -84,7 +102,7 @@ function App() {
           <div className="card-header">
             <h2 className="card-title">Soil Sensors</h2>
           </div>
-          <SensorCards key={`sensors-${refreshKey}`} />
+          <SensorCards key={`sensors-${manualRefreshKey}`} />
         </div>
 
         <div className="card weather-widget">
@@ -127,16 +145,23 @@ function App() {
 
         <div className="card chart-section">
           <div className="card-header">
-            <h2 className="card-title">Moisture History (24h)</h2>
+            <h2 className="card-title">Sensor History</h2>
           </div>
-          <MoistureChart key={`chart-${refreshKey}`} />
+          <MoistureChart key={`chart-${manualRefreshKey}`} />
         </div>
 
         <div className="card tasks-panel">
           <div className="card-header">
             <h2 className="card-title">Tasks</h2>
           </div>
-          <TaskManager key={`tasks-${refreshKey}`} />
+          <TaskManager key={`tasks-${manualRefreshKey}`} />
+        </div>
+
+        <div className="card battery-panel">
+          <div className="card-header">
+            <h2 className="card-title">Sensor Batteries</h2>
+          </div>
+          <BatteryStatus key={`batteries-${refreshKey}`} />
         </div>
       </div>
     </div>
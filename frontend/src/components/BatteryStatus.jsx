@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback } from 'react'
+import useServerEvents from '../hooks/useServerEvents'
+
+// "1.45 V", "3 of 5", or "OK"/"Low" depending on how the model reports its battery
+function formatBatteryValue(sensor) {
+  if (sensor.value === null || sensor.value === undefined) {
+    return sensor.kind ? (sensor.battery_low ? 'Low' : 'OK') : 'No data'
+  }
+  if (sensor.kind === 'voltage') return `${sensor.value.toFixed(2)} V`
+  if (sensor.kind === 'level') return `${sensor.value} of 5`
+  return sensor.battery_low ? 'Low' : 'OK'
+}
+
+function formatDate(dateStr) {
+  if (!dateStr) return '—'
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString()
+}
+
+function BatteryStatus() {
+  const [sensors, setSensors] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchBatteries = useCallback(async () => {
+    try {
+      const response = await fetch('/api/sensors/battery')
+      if (!response.ok) throw new Error('Failed to fetch battery status')
+      setSensors(await response.json())
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchBatteries()
+  }, [fetchBatteries])
+
+  // Refresh when a low battery alert goes out
+  useServerEvents((type, data) => {
+    if (type === 'alert' && data.alert_type === 'battery_low') fetchBatteries()
+  })
+
+  const handleReplaced = async (sensor) => {
+    if (!confirm(`Record a new battery in ${sensor.sensor_name} today?`)) return
+    try {
+      const response = await fetch(`/api/sensors/${sensor.sensor_id}/battery/replaced`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      })
+      if (!response.ok) throw new Error('Failed to record replacement')
+      fetchBatteries()
+    } catch (err) {
+      alert('Failed to record replacement: ' + err.message)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        Loading batteries...
+      </div>
+    )
+  }
+
+  if (error) {
+    return <div className="empty-state">Error: {error}</div>
+  }
+
+  if (sensors.length === 0) {
+    return <div className="empty-state">No sensors registered yet.</div>
+  }
+
+  const labelStyle = { fontSize: '0.75rem', color: 'var(--text-secondary)' }
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '0.75rem' }}>
+      {sensors.map(sensor => (
+        <div key={sensor.sensor_id} className="sensor-card">
+          <div className="sensor-header">
+            <span className="sensor-name">{sensor.sensor_name}</span>
+            <span className={`battery-indicator ${sensor.battery_low ? 'low' : ''}`}>
+              {formatBatteryValue(sensor)}
+            </span>
+          </div>
+
+          {sensor.percent !== null && sensor.percent !== undefined && (
+            <div className="moisture-bar">
+              <div
+                className={`moisture-bar-fill ${sensor.battery_low ? 'critical' : sensor.percent < 30 ? 'low' : 'good'}`}
+                style={{ width: `${sensor.percent}%` }}
+              />
+            </div>
+          )}
+
+          <div style={{ ...labelStyle, marginTop: '0.5rem' }}>
+            {sensor.model || 'Unknown model'}
+          </div>
+          <div style={labelStyle}>Last replaced: {formatDate(sensor.battery_replaced_at)}</div>
+          <div style={labelStyle}>
+            Replace by: {sensor.estimated_replacement ? formatDate(sensor.estimated_replacement) : 'not enough data'}
+          </div>
+
+          <button
+            className="btn btn-secondary"
+            onClick={() => handleReplaced(sensor)}
+            style={{ marginTop: '0.5rem', fontSize: '0.75rem' }}
+          >
+            Battery replaced
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default BatteryStatus
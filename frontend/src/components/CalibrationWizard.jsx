@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react'
+import useServerEvents from '../hooks/useServerEvents'
+
+const STEPS = ['input', 'dry', 'wet', 'review']
+
+// Poll while capturing: readings after the probe moves are held back by the
+// spike check, so they don't arrive as live events
+const POLL_SECONDS = 5
+
+// Raw value a calibration curve is keyed on for this reading
+function rawValue(reading, input) {
+  if (!reading) return null
+  if (input === 'ad') return reading.soil_ad ?? null
+  return reading.moisture_raw_percent ?? reading.moisture_percent ?? null
+}
+
+// Walks through capturing a dry (in air) and wet (submerged in water) reading,
+// then saves the curve and optionally recomputes the sensor's history
+function CalibrationWizard({ sensor, onDone, onCancel }) {
+  const [step, setStep] = useState('input')
+  const [input, setInput] = useState(sensor.soil_ad !== null && sensor.soil_ad !== undefined ? 'ad' : 'percent')
+  const [reading, setReading] = useState(sensor)
+  // Timestamp of the reading showing when the current step began; only a newer one can be captured
+  const [baseline, setBaseline] = useState(null)
+  const [points, setPoints] = useState([])
+  const [existing, setExisting] = useState(null)
+  const [recompute, setRecompute] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetch(`/api/sensors/${sensor.sensor_id}/calibration`)
+      .then(res => res.ok ? res.json() : null)
+      .then(setExisting)
+      .catch(err => console.error('Error fetching calibration:', err))
+  }, [sensor.sensor_id])
+
+  // Keep the latest reading current while the probe is being moved around
+  useServerEvents((type, data) => {
+    if (type === 'reading' && data.sensor_id === sensor.sensor_id) {
+      setReading(data)
+    }
+  })
+
+  // Includes readings rejected by validation, which is what the probe
+  // reports right after moving between soil, air and water
+  const refreshReading = async () => {
+    try {
+      const res = await fetch(`/api/sensors/${sensor.sensor_id}/reading`)
+      if (res.status === 404) return
+      if (!res.ok) throw new Error('Failed to fetch reading')
+      setReading(await res.json())
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    if (step !== 'dry' && step !== 'wet') return
+    const timer = setInterval(refreshReading, POLL_SECONDS * 1000)
+    return () => clearInterval(timer)
+  }, [step, sensor.sensor_id])
+
+  const goTo = (nextStep) => {
+    setBaseline(reading?.timestamp ?? null)
+    setStep(nextStep)
+  }
+
+  const fresh = !!reading?.timestamp && (!baseline || reading.timestamp > baseline)
+
+  const capture = (vwc) => {
+    const raw = rawValue(reading, input)
+    if (raw === null || !fresh) {
+      setError('Wait for a fresh reading before capturing')
+      return
+    }
+    setError(null)
+    setPoints([...points, { raw, vwc }])
+    goTo(STEPS[STEPS.indexOf(step) + 1])
+  }
+
+  const updatePoint = (index, field, value) => {
+    setPoints(points.map((p, i) => i === index ? { ...p, [field]: value } : p))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const res = await fetch(`/api/sensors/${sensor.sensor_id}/calibration`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          input,
+          points: points.map(p => ({ raw: Number(p.raw), vwc: Number(p.vwc) }))
+        })
+      })
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || 'Failed to save calibration')
+      }
+
+      if (recompute) {
+        const recomputeRes = await fetch(`/api/sensors/${sensor.sensor_id}/calibration/recompute`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        })
+        if (!recomputeRes.ok) throw new Error('Calibration saved, but recomputing history failed')
+      }
+
+      onDone()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    if (!confirm('Remove this calibration? New readings will use the gateway percentage.')) return
+    try {
+      await fetch(`/api/sensors/${sensor.sensor_id}/calibration`, { method: 'DELETE' })
+      if (recompute) {
+        await fetch(`/api/sensors/${sensor.sensor_id}/calibration/recompute`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({})
+        })
+      }
+      onDone()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const labelStyle = { fontSize: '0.75rem', color: 'var(--text-secondary)' }
+  const current = rawValue(reading, input)
+  const unit = input === 'ad' ? ' AD' : '%'
+
+  const liveReading = (
+    <div style={{ margin: '0.75rem 0', display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+      <span style={{ fontSize: '1.5rem', fontWeight: 600 }}>
+        {current === null ? '—' : `${current}${unit}`}
+      </span>
+      <span style={labelStyle}>
+        {reading?.timestamp ? `at ${new Date(reading.timestamp).toLocaleTimeString()}` : ''}
+        {!fresh && ' · waiting for a fresh reading...'}
+      </span>
+      <button type="button" className="btn btn-secondary" onClick={refreshReading}>Refresh</button>
+    </div>
+  )
+
+  return (
+    <div style={{
+      background: 'var(--bg-card)',
+      padding: '1rem',
+      borderRadius: '0.5rem',
+      marginBottom: '1rem'
+    }}>
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+        Calibrating <code>{sensor.sensor_id}</code> · Step {STEPS.indexOf(step) + 1} of {STEPS.length}
+      </div>
+
+      {step === 'input' && (
+        <div>
+          {existing && (
+            <p style={{ fontSize: '0.875rem', marginBottom: '0.75rem' }}>
+              Currently calibrated from {existing.points.length} points ({existing.input === 'ad' ? 'raw AD' : 'raw percent'}).
+            </p>
+          )}
+          <label style={labelStyle}>Calibrate from</label>
+          <select className="input" value={input} onChange={e => setInput(e.target.value)}>
+            <option value="ad" disabled={sensor.soil_ad === null || sensor.soil_ad === undefined}>
+              Raw AD value (soilad)
+            </option>
+            <option value="percent">Gateway moisture percent</option>
+          </select>
+          <p style={{ ...labelStyle, marginTop: '0.5rem' }}>
+            The AD value is more precise but only newer gateway firmware reports it.
+          </p>
+        </div>
+      )}
+
+      {step === 'dry' && (
+        <div>
+          <p style={{ fontSize: '0.875rem' }}>
+            Pull the probe out, wipe it dry and hold it in the air. Wait for a fresh reading, then capture it as 0% water.
+          </p>
+          {liveReading}
+        </div>
+      )}
+
+      {step === 'wet' && (
+        <div>
+          <p style={{ fontSize: '0.875rem' }}>
+            Submerge the probe in water up to the line. Wait for a fresh reading, then capture it as 100% water.
+          </p>
+          {liveReading}
+        </div>
+      )}
+
+      {step === 'review' && (
+        <div>
+          <p style={{ fontSize: '0.875rem', marginBottom: '0.5rem' }}>
+            Adjust the captured points or add readings taken in your own soil at a known moisture.
+          </p>
+          {points.map((point, index) => (
+            <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center' }}>
+              <input
+                type="number"
+                className="input"
+                value={point.raw}
+                onChange={e => updatePoint(index, 'raw', e.target.value)}
+                aria-label="Raw value"
+              />
+              <span style={labelStyle}>→</span>
+              <input
+                type="number"
+                className="input"
+                value={point.vwc}
+                onChange={e => updatePoint(index, 'vwc', e.target.value)}
+                min="0"
+                max="100"
+                aria-label="Moisture percent"
+              />
+              <span style={labelStyle}>%</span>
+              {points.length > 2 && (
+                <button type="button" className="btn btn-secondary" onClick={() => setPoints(points.filter((_, i) => i !== index))}>
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => setPoints([...points, { raw: current ?? '', vwc: '' }])}
+          >
+            Add point from current reading
+          </button>
+          <label style={{ ...labelStyle, display: 'flex', gap: '0.5rem', alignItems: 'center', marginTop: '0.75rem' }}>
+            <input type="checkbox" checked={recompute} onChange={e => setRecompute(e.target.checked)} />
+            Recompute stored history with this calibration
+          </label>
+        </div>
+      )}
+
+      {error && (
+        <div style={{ fontSize: '0.75rem', color: 'var(--accent-red)', marginTop: '0.5rem' }}>{error}</div>
+      )}
+
+      <div style={{ marginTop: '0.75rem', display: 'flex', gap: '0.5rem' }}>
+        {step === 'input' && (
+          <button type="button" className="btn btn-primary" onClick={() => goTo('dry')}>Start</button>
+        )}
+        {step === 'dry' && (
+          <button type="button" className="btn btn-primary" onClick={() => capture(0)} disabled={!fresh}>Capture dry</button>
+        )}
+        {step === 'wet' && (
+          <button type="button" className="btn btn-primary" onClick={() => capture(100)} disabled={!fresh}>Capture wet</button>
+        )}
+        {step === 'review' && (
+          <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save calibration'}
+          </button>
+        )}
+        {step === 'input' && existing && (
+          <button type="button" className="btn btn-secondary" onClick={handleRemove}>Remove calibration</button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  )
+}
+
+export default CalibrationWizard
@@ -1,73 +1,233 @@
-import { useState, useEffect } from 'react'
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts'
+import { useState, useEffect, useCallback } from 'react'
+import {
+  LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend,
+  ReferenceArea, ReferenceLine, Brush
+} from 'recharts'
+import useServerEvents from '../hooks/useServerEvents'
+
+const BUCKET_MS = {
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+}
+
+// How often to refetch when the live event stream is unavailable
+const POLL_INTERVAL_MS = 5 * 60 * 1000
+
+// Server timestamps are UTC in SQLite's format ("2026-10-18 14:05:00", no zone),
+// which browsers would read as local time. Parsed as UTC they line up with the
+// server's buckets, which are aligned to UTC epoch multiples.
+function parseServerTime(timestamp) {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`).getTime()
+}
 
 const COLORS = ['#22c55e', '#3b82f6', '#eab308', '#ef4444', '#8b5cf6', '#06b6d4', '#f97316', '#ec4899']
 
+// Time range presets - longer ranges use coarser server-side buckets
+const RANGES = [
+  { key: '6h', label: '6h', hours: 6, bucket: '5m' },
+  { key: '24h', label: '24h', hours: 24, bucket: '5m' },
+  { key: '7d', label: '7d', hours: 7 * 24, bucket: '1h' },
+  { key: '30d', label: '30d', hours: 30 * 24, bucket: '1h' },
+  { key: 'season', label: 'Season', hours: 180 * 24, bucket: '1d' }
+]
+
+// Sensors shown for the selected bed: the bed's own sensor links plus
+// any sensors whose registry location puts them in that bed
+function sensorsForBed(sensors, bed) {
+  if (!bed) return sensors
+  return sensors.filter(s =>
+    s.sensor_id === bed.sensor_id ||
+    s.sensor_id === bed.temp_sensor_id ||
+    s.bed_id === bed.id
+  )
+}
+
 function MoistureChart() {
   const [sensors, setSensors] = useState([])
+  const [beds, setBeds] = useState([])
+  const [profiles, setProfiles] = useState(null)
   const [chartData, setChartData] = useState([])
+  const [range, setRange] = useState('24h')
+  const [selectedBedId, setSelectedBedId] = useState('')
+  const [showTemperature, setShowTemperature] = useState(true)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
+  // Sensor list, beds and alert profiles only need loading once
   useEffect(() => {
-    async function fetchData() {
+    async function fetchMetadata() {
       try {
-        // First get list of sensors
-        const sensorsRes = await fetch('/api/sensors')
+        const [sensorsRes, bedsRes, profilesRes] = await Promise.all([
+          fetch('/api/sensors'),
+          fetch('/api/beds'),
+          fetch('/api/alerts/profiles')
+        ])
         if (!sensorsRes.ok) throw new Error('Failed to fetch sensors')
-        const sensorsList = await sensorsRes.json()
 
-        // Filter to only moisture sensors (exclude temperature probes)
-        const moistureSensors = sensorsList.filter(s => s.sensor_id.includes('moisture'))
+        const sensorsList = await sensorsRes.json()
+        setSensors(sensorsList)
+        if (sensorsList.length === 0) setLoading(false)
+        if (bedsRes.ok) setBeds(await bedsRes.json())
+        if (profilesRes.ok) setProfiles(await profilesRes.json())
+      } catch (err) {
+        setError(err.message)
+        setLoading(false)
+      }
+    }
 
-        if (moistureSensors.length === 0) {
-          setLoading(false)
-          return
-        }
+    fetchMetadata()
+  }, [])
 
-        setSensors(moistureSensors)
+  const selectedBed = beds.find(b => String(b.id) === selectedBedId) || null
+  const visibleSensors = sensorsForBed(sensors, selectedBed)
+  const moistureSensors = visibleSensors.filter(s => s.sensor_type === 'moisture')
+  const tempSensors = showTemperature
+    ? visibleSensors.filter(s => s.sensor_type === 'temperature')
+    : []
+  const chartSensors = [...moistureSensors, ...tempSensors]
+  const chartSensorIds = chartSensors.map(s => s.sensor_id).join(',')
 
-        // Fetch history for each sensor
-        const historyPromises = moistureSensors.map(s =>
-          fetch(`/api/sensors/history/${s.sensor_id}?hours=24`)
-            .then(r => r.ok ? r.json() : [])
-        )
+  const fetchHistory = useCallback(async () => {
+    if (!chartSensorIds) {
+      setChartData([])
+      setLoading(false)
+      return
+    }
 
-        const histories = await Promise.all(historyPromises)
+    setLoading(true)
+    try {
+      const { hours, bucket } = RANGES.find(r => r.key === range)
+      const res = await fetch(
+        `/api/sensors/history?sensor_ids=${encodeURIComponent(chartSensorIds)}&hours=${hours}&bucket=${bucket}`
+      )
+      if (!res.ok) throw new Error('Failed to fetch history')
+      const { series } = await res.json()
 
-        // Combine data by timestamp
-        const timeMap = new Map()
+      // Combine data by timestamp - moisture and temperature sensors share one row per bucket
+      const timeMap = new Map()
 
-        histories.forEach((history, idx) => {
-          const sensorId = moistureSensors[idx].sensor_id
-          history.forEach(reading => {
-            const time = new Date(reading.timestamp).getTime()
-            // Round to nearest 15 minutes for cleaner data
-            const roundedTime = Math.round(time / (15 * 60 * 1000)) * (15 * 60 * 1000)
+      Object.entries(series).forEach(([sensorId, history]) => {
+        history.forEach(reading => {
+          const time = parseServerTime(reading.timestamp)
+          const value = reading.sensor_type === 'temperature'
+            ? reading.temperature_f
+            : reading.moisture_percent
 
-            if (!timeMap.has(roundedTime)) {
-              timeMap.set(roundedTime, { timestamp: roundedTime })
-            }
-            timeMap.get(roundedTime)[sensorId] = reading.moisture_percent
-          })
+          if (!timeMap.has(time)) {
+            timeMap.set(time, { timestamp: time })
+          }
+          timeMap.get(time)[sensorId] = value
         })
+      })
 
-        // Convert to array and sort by time
-        const data = Array.from(timeMap.values())
-          .sort((a, b) => a.timestamp - b.timestamp)
+      const data = Array.from(timeMap.values())
+        .sort((a, b) => a.timestamp - b.timestamp)
 
-        setChartData(data)
-      } catch (err) {
-        setError(err.message)
-      } finally {
-        setLoading(false)
+      setChartData(data)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [chartSensorIds, range])
+
+  useEffect(() => {
+    if (sensors.length === 0) return
+    fetchHistory()
+  }, [sensors.length, fetchHistory])
+
+  // Fold pushed readings into the current bucket instead of refetching the range
+  const live = useServerEvents((type, reading) => {
+    if (type !== 'reading') return
+    const sensor = chartSensors.find(s => s.sensor_id === reading.sensor_id)
+    if (!sensor) return
+
+    const { hours, bucket } = RANGES.find(r => r.key === range)
+    const time = parseServerTime(reading.timestamp)
+    const bucketTime = Math.floor(time / BUCKET_MS[bucket]) * BUCKET_MS[bucket]
+    const value = sensor.sensor_type === 'temperature'
+      ? reading.temperature_f
+      : reading.moisture_percent
+    const windowStart = Date.now() - hours * 60 * 60 * 1000
+
+    setChartData(prev => {
+      const data = prev.filter(row => row.timestamp >= windowStart)
+      const existing = data.find(row => row.timestamp === bucketTime)
+      if (existing) {
+        return data.map(row => row === existing ? { ...row, [sensor.sensor_id]: value } : row)
       }
+      return [...data, { timestamp: bucketTime, [sensor.sensor_id]: value }]
+    })
+  })
+
+  // Fall back to polling while the event stream is down
+  useEffect(() => {
+    if (live || sensors.length === 0) return
+    const interval = setInterval(fetchHistory, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [live, sensors.length, fetchHistory])
+
+  // Thresholds come from the selected bed's alert profile, or the default profile
+  const profileName = selectedBed?.profile || profiles?.default_profile
+  const profile = profiles?.profiles?.[profileName]
+
+  const formatTime = (timestamp) => {
+    const { hours } = RANGES.find(r => r.key === range)
+    if (hours > 24) {
+      return new Date(timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
     }
+    return new Date(timestamp).toLocaleTimeString('en-US', {
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+  }
 
-    fetchData()
-  }, [])
+  const controls = (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      flexWrap: 'wrap',
+      gap: '0.5rem'
+    }}>
+      <div className="tabs" style={{ marginBottom: 0 }}>
+        {RANGES.map(r => (
+          <button
+            key={r.key}
+            className={`tab ${range === r.key ? 'active' : ''}`}
+            onClick={() => setRange(r.key)}
+          >
+            {r.label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem', fontSize: '0.875rem' }}>
+        <select
+          className="input"
+          value={selectedBedId}
+          onChange={e => setSelectedBedId(e.target.value)}
+          style={{ width: 'auto' }}
+        >
+          <option value="">All sensors</option>
+          {beds.map(b => (
+            <option key={b.id} value={b.id}>{b.name}</option>
+          ))}
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.25rem', color: 'var(--text-secondary)' }}>
+          <input
+            type="checkbox"
+            checked={showTemperature}
+            onChange={e => setShowTemperature(e.target.checked)}
+          />
+          Soil temp
+        </label>
+      </div>
+    </div>
+  )
 
-  if (loading) {
+  if (loading && chartData.length === 0) {
     return (
       <div className="loading">
         <div className="spinner"></div>
@@ -80,96 +240,142 @@ function MoistureChart() {
     return <div className="empty-state">Error loading chart: {error}</div>
   }
 
-  if (sensors.length === 0 || chartData.length === 0) {
+  if (chartSensors.length === 0 || chartData.length === 0) {
     return (
-      <div className="empty-state">
-        <p>No historical data available yet.</p>
-        <p style={{ fontSize: '0.875rem', marginTop: '0.5rem' }}>
-          Chart will populate as sensor readings are collected.
-        </p>
+      <div>
+        {controls}
+        <div className="empty-state">
+          <p>No historical data available for this range.</p>
+          <p style={{ fontSize: '0.875rem', marginTop: '0.5rem' }}>
+            Chart will populate as sensor readings are collected.
+          </p>
+        </div>
       </div>
     )
   }
 
-  const formatTime = (timestamp) => {
-    return new Date(timestamp).toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit'
-    })
-  }
-
   return (
-    <div className="chart-container">
-      <ResponsiveContainer width="100%" height="100%">
-        <LineChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
-          <XAxis
-            dataKey="timestamp"
-            tickFormatter={formatTime}
-            stroke="#94a3b8"
-            fontSize={12}
-            tick={{ fill: '#94a3b8' }}
-          />
-          <YAxis
-            domain={[0, 100]}
-            stroke="#94a3b8"
-            fontSize={12}
-            tick={{ fill: '#94a3b8' }}
-            tickFormatter={(value) => `${value}%`}
-          />
-          <Tooltip
-            contentStyle={{
-              backgroundColor: '#1e293b',
-              border: '1px solid #475569',
-              borderRadius: '0.5rem'
-            }}
-            labelFormatter={(timestamp) => new Date(timestamp).toLocaleString()}
-            formatter={(value) => [`${value.toFixed(1)}%`, '']}
-          />
-          <Legend />
-
-          {/* Reference lines for moisture zones */}
-          <CartesianGrid
-            y={20}
-            stroke="#ef4444"
-            strokeDasharray="5 5"
-            horizontal={false}
-          />
-          <CartesianGrid
-            y={35}
-            stroke="#eab308"
-            strokeDasharray="5 5"
-            horizontal={false}
-          />
+    <div>
+      {controls}
 
-          {sensors.map((sensor, idx) => (
-            <Line
-              key={sensor.sensor_id}
-              type="monotone"
-              dataKey={sensor.sensor_id}
-              name={sensor.sensor_name}
-              stroke={COLORS[idx % COLORS.length]}
-              strokeWidth={2}
-              dot={false}
-              connectNulls
+      <div className="chart-container">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#475569" />
+            <XAxis
+              dataKey="timestamp"
+              tickFormatter={formatTime}
+              stroke="#94a3b8"
+              fontSize={12}
+              tick={{ fill: '#94a3b8' }}
             />
-          ))}
-        </LineChart>
-      </ResponsiveContainer>
-
-      <div style={{
-        display: 'flex',
-        justifyContent: 'center',
-        gap: '1.5rem',
-        marginTop: '0.5rem',
-        fontSize: '0.75rem',
-        color: 'var(--text-secondary)'
-      }}>
-        <span><span style={{ color: 'var(--accent-red)' }}>—</span> Critical (&lt;20%)</span>
-        <span><span style={{ color: 'var(--accent-yellow)' }}>—</span> Low (&lt;35%)</span>
-        <span><span style={{ color: 'var(--accent-green)' }}>—</span> Good (35-70%)</span>
-        <span><span style={{ color: 'var(--accent-blue)' }}>—</span> Saturated (&gt;70%)</span>
+            <YAxis
+              yAxisId="moisture"
+              domain={[0, 100]}
+              stroke="#94a3b8"
+              fontSize={12}
+              tick={{ fill: '#94a3b8' }}
+              tickFormatter={(value) => `${value}%`}
+            />
+            {tempSensors.length > 0 && (
+              <YAxis
+                yAxisId="temperature"
+                orientation="right"
+                domain={['dataMin - 5', 'dataMax + 5']}
+                stroke="#94a3b8"
+                fontSize={12}
+                tick={{ fill: '#94a3b8' }}
+                tickFormatter={(value) => `${Math.round(value)}°`}
+              />
+            )}
+            <Tooltip
+              contentStyle={{
+                backgroundColor: '#1e293b',
+                border: '1px solid #475569',
+                borderRadius: '0.5rem'
+              }}
+              labelFormatter={(timestamp) => new Date(timestamp).toLocaleString()}
+              formatter={(value, name, item) => {
+                const isTemp = tempSensors.some(s => s.sensor_id === item.dataKey)
+                return [isTemp ? `${value.toFixed(1)}°F` : `${value.toFixed(1)}%`, name]
+              }}
+            />
+            <Legend />
+
+            {/* Threshold bands from the alert profile */}
+            {profile && (
+              <>
+                <ReferenceArea yAxisId="moisture" y1={0} y2={profile.moisture_critical} fill="#ef4444" fillOpacity={0.08} />
+                <ReferenceArea yAxisId="moisture" y1={profile.moisture_critical} y2={profile.moisture_low} fill="#eab308" fillOpacity={0.08} />
+                <ReferenceArea yAxisId="moisture" y1={profile.moisture_high} y2={100} fill="#3b82f6" fillOpacity={0.08} />
+                <ReferenceLine yAxisId="moisture" y={profile.moisture_critical} stroke="#ef4444" strokeDasharray="5 5" />
+                <ReferenceLine yAxisId="moisture" y={profile.moisture_low} stroke="#eab308" strokeDasharray="5 5" />
+                {tempSensors.length > 0 && (
+                  <ReferenceLine yAxisId="temperature" y={profile.temp_critical_low} stroke="#06b6d4" strokeDasharray="2 4" />
+                )}
+              </>
+            )}
+
+            {moistureSensors.map((sensor, idx) => (
+              <Line
+                key={sensor.sensor_id}
+                yAxisId="moisture"
+                type="monotone"
+                dataKey={sensor.sensor_id}
+                name={sensor.sensor_name}
+                stroke={COLORS[idx % COLORS.length]}
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+              />
+            ))}
+
+            {tempSensors.map((sensor, idx) => (
+              <Line
+                key={sensor.sensor_id}
+                yAxisId="temperature"
+                type="monotone"
+                dataKey={sensor.sensor_id}
+                name={sensor.sensor_name}
+                stroke={COLORS[(moistureSensors.length + idx) % COLORS.length]}
+                strokeWidth={1.5}
+                strokeDasharray="4 2"
+                dot={false}
+                connectNulls
+              />
+            ))}
+
+            <Brush
+              dataKey="timestamp"
+              height={20}
+              stroke="#94a3b8"
+              fill="transparent"
+              tickFormatter={formatTime}
+            />
+          </LineChart>
+        </ResponsiveContainer>
       </div>
+
+      {profile && (
+        <div style={{
+          display: 'flex',
+          justifyContent: 'center',
+          flexWrap: 'wrap',
+          gap: '1.5rem',
+          marginTop: '0.5rem',
+          fontSize: '0.75rem',
+          color: 'var(--text-secondary)'
+        }}>
+          <span><span style={{ color: 'var(--accent-red)' }}>—</span> Critical (&lt;{profile.moisture_critical}%)</span>
+          <span><span style={{ color: 'var(--accent-yellow)' }}>—</span> Low (&lt;{profile.moisture_low}%)</span>
+          <span><span style={{ color: 'var(--accent-green)' }}>—</span> Good ({profile.moisture_low}-{profile.moisture_high}%)</span>
+          <span><span style={{ color: 'var(--accent-blue)' }}>—</span> Saturated (&gt;{profile.moisture_high}%)</span>
+          {tempSensors.length > 0 && (
+            <span><span style={{ color: 'var(--accent-cyan)' }}>- -</span> Frost risk (&lt;{profile.temp_critical_low}°F)</span>
+          )}
+          <span>Profile: {profileName.replace('_', ' ')}</span>
+        </div>
+      )}
     </div>
   )
 }
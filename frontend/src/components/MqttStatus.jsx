@@ -0,0 +1,38 @@
+import { useState, useEffect } from 'react'
+import useServerEvents from '../hooks/useServerEvents'
+
+const STATUS_COLORS = {
+  connected: 'var(--accent-green)',
+  connecting: 'var(--accent-yellow)',
+  error: 'var(--accent-red)'
+}
+
+// Header indicator for the MQTT bridge; hidden while the bridge is disabled
+function MqttStatus() {
+  const [mqtt, setMqtt] = useState(null)
+
+  useEffect(() => {
+    fetch('/api/mqtt/status')
+      .then(res => res.ok ? res.json() : null)
+      .then(setMqtt)
+      .catch(err => console.error('Error fetching MQTT status:', err))
+  }, [])
+
+  useServerEvents((type, data) => {
+    if (type === 'mqtt_status') setMqtt(data)
+  })
+
+  if (!mqtt || mqtt.status === 'disabled') return null
+
+  const title = mqtt.status === 'error'
+    ? `MQTT error: ${mqtt.error}`
+    : `MQTT ${mqtt.status} to ${mqtt.url} · ${mqtt.published} published, ${mqtt.received} received`
+
+  return (
+    <span title={title} style={{ marginRight: '0.75rem', color: STATUS_COLORS[mqtt.status] }}>
+      ● MQTT
+    </span>
+  )
+}
+
+export default MqttStatus
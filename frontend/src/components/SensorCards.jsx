@@ -1,4 +1,9 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
+import useServerEvents from '../hooks/useServerEvents'
+import CalibrationWizard from './CalibrationWizard'
+
+// How often to refetch when the live event stream is unavailable
+const POLL_INTERVAL_MS = 5 * 60 * 1000
 
 function getMoistureStatus(percent) {
   if (percent < 20) return 'critical'
@@ -15,18 +20,267 @@ function getTempStatus(tempF) {
   return 'ideal'
 }
 
-function MoistureSensorCard({ sensor }) {
-  const status = getMoistureStatus(sensor.moisture_percent)
-  const batteryLow = sensor.battery_status === '0' || sensor.battery_status === 'low'
+// Leaves stay wet after rain, dew or watering; long wet spells favour fungal disease
+function getLeafWetnessStatus(percent) {
+  if (percent >= 50) return 'wet'
+  if (percent >= 10) return 'damp'
+  return 'dry'
+}
+
+// Indoor CO2 guidance: fresh air is ~420 ppm, stuffy above 1000
+function getCo2Status(ppm) {
+  if (ppm >= 2000) return 'critical'
+  if (ppm >= 1000) return 'low'
+  return 'good'
+}
+
+const formatNumber = (value, digits = 0) =>
+  value === null || value === undefined ? '—' : value.toFixed(digits)
+
+// "Bed 1 · Row 2, Col 3 · 6" deep" from the sensor's registry entry
+function formatLocation(sensor) {
+  const parts = []
+  if (sensor.bed_name) parts.push(sensor.bed_name)
+  if (sensor.bed_row !== null && sensor.bed_row !== undefined &&
+      sensor.bed_col !== null && sensor.bed_col !== undefined) {
+    parts.push(`Row ${sensor.bed_row + 1}, Col ${sensor.bed_col + 1}`)
+  }
+  if (sensor.depth_inches) parts.push(`${sensor.depth_inches}" deep`)
+  return parts.join(' · ')
+}
+
+// Stale sensors have stopped reporting; their last value is shown greyed out
+function isStale(sensor) {
+  return sensor.status === 'stale'
+}
+
+function ReadingTime({ sensor }) {
+  return (
+    <div style={{ fontSize: '0.625rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
+      {isStale(sensor) && 'Offline · last seen '}
+      {new Date(sensor.timestamp).toLocaleString()}
+    </div>
+  )
+}
+
+function SensorHeader({ sensor, onEdit }) {
+  const batteryLow = !!sensor.battery_low
+  const location = formatLocation(sensor)
 
   return (
-    <div className="sensor-card">
+    <>
       <div className="sensor-header">
-        <span className="sensor-name">{sensor.sensor_name}</span>
-        <span className={`battery-indicator ${batteryLow ? 'low' : ''}`}>
-          {batteryLow ? 'Low' : 'OK'}
+        <span
+          className="sensor-name"
+          onClick={() => onEdit(sensor)}
+          style={{ cursor: 'pointer' }}
+          title={sensor.notes || 'Edit sensor details'}
+        >
+          {sensor.sensor_name}
         </span>
+        {isStale(sensor) ? (
+          <span className="battery-indicator low">Offline</span>
+        ) : (
+          <span className={`battery-indicator ${batteryLow ? 'low' : ''}`}>
+            {batteryLow ? 'Low' : 'OK'}
+          </span>
+        )}
       </div>
+      {location && (
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginTop: '-0.5rem', marginBottom: '0.5rem' }}>
+          {location}
+        </div>
+      )}
+    </>
+  )
+}
+
+function SensorEditor({ sensor, onSaved, onCancel }) {
+  const [beds, setBeds] = useState([])
+  const [form, setForm] = useState({
+    name: sensor.sensor_name || '',
+    model: sensor.model || '',
+    install_date: sensor.install_date || '',
+    depth_inches: sensor.depth_inches ?? '',
+    bed_id: sensor.bed_id ?? '',
+    bed_row: sensor.bed_row ?? '',
+    bed_col: sensor.bed_col ?? '',
+    notes: sensor.notes || ''
+  })
+  const [error, setError] = useState(null)
+  const [calibrating, setCalibrating] = useState(false)
+
+  useEffect(() => {
+    fetch('/api/beds')
+      .then(res => res.ok ? res.json() : [])
+      .then(setBeds)
+      .catch(err => console.error('Error fetching beds:', err))
+  }, [])
+
+  const toNumber = (value) => value === '' ? null : Number(value)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const res = await fetch(`/api/sensors/${sensor.sensor_id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          model: form.model || null,
+          install_date: form.install_date || null,
+          depth_inches: toNumber(form.depth_inches),
+          bed_id: toNumber(form.bed_id),
+          bed_row: form.bed_id === '' ? null : toNumber(form.bed_row),
+          bed_col: form.bed_id === '' ? null : toNumber(form.bed_col),
+          notes: form.notes || null
+        })
+      })
+      if (!res.ok) {
+        const body = await res.json().catch(() => ({}))
+        throw new Error(body.error || 'Failed to save sensor')
+      }
+      onSaved()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const labelStyle = { fontSize: '0.75rem', color: 'var(--text-secondary)' }
+
+  if (calibrating) {
+    return (
+      <CalibrationWizard
+        sensor={sensor}
+        onDone={onSaved}
+        onCancel={() => setCalibrating(false)}
+      />
+    )
+  }
+
+  return (
+    <form onSubmit={handleSubmit} style={{
+      background: 'var(--bg-card)',
+      padding: '1rem',
+      borderRadius: '0.5rem',
+      marginBottom: '1rem'
+    }}>
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '0.75rem' }}>
+        Editing <code>{sensor.sensor_id}</code>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: '0.75rem' }}>
+        <div>
+          <label style={labelStyle}>Name</label>
+          <input
+            type="text"
+            className="input"
+            value={form.name}
+            onChange={e => setForm({ ...form, name: e.target.value })}
+            placeholder="e.g., Tomato bed, north end"
+            required
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Model</label>
+          <input
+            type="text"
+            className="input"
+            value={form.model}
+            onChange={e => setForm({ ...form, model: e.target.value })}
+            placeholder="WH51"
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Installed</label>
+          <input
+            type="date"
+            className="input"
+            value={form.install_date}
+            onChange={e => setForm({ ...form, install_date: e.target.value })}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Depth (in)</label>
+          <input
+            type="number"
+            className="input"
+            value={form.depth_inches}
+            onChange={e => setForm({ ...form, depth_inches: e.target.value })}
+            min="0"
+            step="0.5"
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Bed</label>
+          <select
+            className="input"
+            value={form.bed_id}
+            onChange={e => setForm({ ...form, bed_id: e.target.value })}
+          >
+            <option value="">Not in a bed</option>
+            {beds.map(b => (
+              <option key={b.id} value={b.id}>{b.name}</option>
+            ))}
+          </select>
+        </div>
+        {form.bed_id !== '' && (
+          <>
+            <div>
+              <label style={labelStyle}>Row</label>
+              <input
+                type="number"
+                className="input"
+                value={form.bed_row === '' ? '' : Number(form.bed_row) + 1}
+                onChange={e => setForm({ ...form, bed_row: e.target.value === '' ? '' : Number(e.target.value) - 1 })}
+                min="1"
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Column</label>
+              <input
+                type="number"
+                className="input"
+                value={form.bed_col === '' ? '' : Number(form.bed_col) + 1}
+                onChange={e => setForm({ ...form, bed_col: e.target.value === '' ? '' : Number(e.target.value) - 1 })}
+                min="1"
+              />
+            </div>
+          </>
+        )}
+      </div>
+      <div style={{ marginTop: '0.75rem' }}>
+        <label style={labelStyle}>Notes</label>
+        <input
+          type="text"
+          className="input"
+          value={form.notes}
+          onChange={e => setForm({ ...form, notes: e.target.value })}
+        />
+      </div>
+      {error && (
+        <div style={{ fontSize: '0.75rem', color: 'var(--accent-red)', marginTop: '0.5rem' }}>{error}</div>
+      )}
+      <div style={{ marginTop: '0.75rem', display: 'flex', gap: '0.5rem' }}>
+        <button type="submit" className="btn btn-primary">Save</button>
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+        {sensor.sensor_type === 'moisture' && (
+          <button type="button" className="btn btn-secondary" onClick={() => setCalibrating(true)}>
+            Calibrate...
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+function MoistureSensorCard({ sensor, onEdit }) {
+  const status = getMoistureStatus(sensor.moisture_percent)
+  const calibrated = sensor.moisture_raw_percent !== null && sensor.moisture_raw_percent !== undefined &&
+    sensor.moisture_raw_percent !== sensor.moisture_percent
+
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
 
       <div className={`moisture-value ${status}`}>
         {Math.round(sensor.moisture_percent)}%
@@ -37,6 +291,7 @@ function MoistureSensorCard({ sensor }) {
         {status === 'low' && 'Getting dry'}
         {status === 'good' && 'Good moisture'}
         {status === 'saturated' && 'Very wet'}
+        {calibrated && ` · raw ${Math.round(sensor.moisture_raw_percent)}%`}
       </div>
 
       <div className="moisture-bar">
@@ -46,25 +301,17 @@ function MoistureSensorCard({ sensor }) {
         />
       </div>
 
-      <div style={{ fontSize: '0.625rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
-        {new Date(sensor.timestamp).toLocaleString()}
-      </div>
+      <ReadingTime sensor={sensor} />
     </div>
   )
 }
 
-function TemperatureSensorCard({ sensor }) {
+function TemperatureSensorCard({ sensor, onEdit }) {
   const status = getTempStatus(sensor.temperature_f)
-  const batteryLow = sensor.battery_status === '0' || sensor.battery_status === 'low'
 
   return (
-    <div className="sensor-card">
-      <div className="sensor-header">
-        <span className="sensor-name">{sensor.sensor_name}</span>
-        <span className={`battery-indicator ${batteryLow ? 'low' : ''}`}>
-          {batteryLow ? 'Low' : 'OK'}
-        </span>
-      </div>
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
 
       <div className={`temp-value ${status}`}>
         {Math.round(sensor.temperature_f)}°F
@@ -78,34 +325,196 @@ function TemperatureSensorCard({ sensor }) {
         {status === 'hot' && 'Hot - may stress plants'}
       </div>
 
-      <div style={{ fontSize: '0.625rem', color: 'var(--text-secondary)', marginTop: '0.5rem' }}>
-        {new Date(sensor.timestamp).toLocaleString()}
+      <ReadingTime sensor={sensor} />
+    </div>
+  )
+}
+
+function ProbeSensorCard({ sensor, onEdit }) {
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
+
+      <div className="temp-value">
+        {Math.round(sensor.temperature_f)}°F
       </div>
+
+      <ReadingTime sensor={sensor} />
     </div>
   )
 }
 
+function AirSensorCard({ sensor, onEdit }) {
+  const status = getTempStatus(sensor.temperature_f)
+
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
+
+      <div className={`temp-value ${status}`}>
+        {Math.round(sensor.temperature_f)}°F
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+        Humidity {formatNumber(sensor.humidity)}%
+      </div>
+
+      <ReadingTime sensor={sensor} />
+    </div>
+  )
+}
+
+const LEAF_WETNESS_CLASSES = { dry: 'good', damp: 'low', wet: 'saturated' }
+
+function LeafWetnessSensorCard({ sensor, onEdit }) {
+  const status = getLeafWetnessStatus(sensor.leaf_wetness_percent)
+
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
+
+      <div className={`moisture-value ${LEAF_WETNESS_CLASSES[status]}`}>
+        {Math.round(sensor.leaf_wetness_percent)}%
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+        {status === 'dry' && 'Leaves dry'}
+        {status === 'damp' && 'Leaves damp'}
+        {status === 'wet' && 'Leaves wet - watch for mildew'}
+      </div>
+
+      <div className="moisture-bar">
+        <div
+          className={`moisture-bar-fill ${LEAF_WETNESS_CLASSES[status]}`}
+          style={{ width: `${Math.min(100, sensor.leaf_wetness_percent)}%` }}
+        />
+      </div>
+
+      <ReadingTime sensor={sensor} />
+    </div>
+  )
+}
+
+function AirQualitySensorCard({ sensor, onEdit }) {
+  const status = getCo2Status(sensor.co2_ppm)
+
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
+
+      <div className={`moisture-value ${status}`}>
+        {Math.round(sensor.co2_ppm)} <span style={{ fontSize: '1rem' }}>ppm CO₂</span>
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+        PM2.5 {formatNumber(sensor.pm25, 1)} · PM10 {formatNumber(sensor.pm10, 1)} µg/m³
+      </div>
+      {sensor.temperature_f !== null && sensor.temperature_f !== undefined && (
+        <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+          {Math.round(sensor.temperature_f)}°F · {formatNumber(sensor.humidity)}% humidity
+        </div>
+      )}
+
+      <ReadingTime sensor={sensor} />
+    </div>
+  )
+}
+
+function LeakSensorCard({ sensor, onEdit }) {
+  const leaking = !!sensor.leak
+
+  return (
+    <div className="sensor-card" style={isStale(sensor) ? { opacity: 0.5 } : undefined}>
+      <SensorHeader sensor={sensor} onEdit={onEdit} />
+
+      <div className={`moisture-value ${leaking ? 'critical' : 'good'}`}>
+        {leaking ? 'Leak!' : 'Dry'}
+      </div>
+
+      <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)' }}>
+        {leaking ? 'Water detected' : 'No water detected'}
+      </div>
+
+      <ReadingTime sensor={sensor} />
+    </div>
+  )
+}
+
+// One section per sensor family. The soil sections are always shown;
+// the rest only appear once one of their sensors reports.
+const SECTIONS = [
+  {
+    title: 'Soil Moisture',
+    Card: MoistureSensorCard,
+    matches: s => s.sensor_type === 'moisture' || (!s.sensor_type && s.moisture_percent !== null),
+    always: true
+  },
+  {
+    title: 'Soil Temperature',
+    Card: TemperatureSensorCard,
+    matches: s => s.sensor_type === 'temperature' || (!s.sensor_type && s.temperature_f !== null && s.moisture_percent === null),
+    always: true
+  },
+  { title: 'Air', Card: AirSensorCard, matches: s => s.sensor_type === 'air' },
+  { title: 'Temperature Probes', Card: ProbeSensorCard, matches: s => s.sensor_type === 'probe' },
+  { title: 'Leaf Wetness', Card: LeafWetnessSensorCard, matches: s => s.sensor_type === 'leaf_wetness' },
+  { title: 'Air Quality', Card: AirQualitySensorCard, matches: s => s.sensor_type === 'air_quality' },
+  { title: 'Leak Detection', Card: LeakSensorCard, matches: s => s.sensor_type === 'leak' }
+]
+
 function SensorCards() {
   const [sensors, setSensors] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [editingSensor, setEditingSensor] = useState(null)
+
+  const fetchSensors = useCallback(async () => {
+    try {
+      const response = await fetch('/api/sensors/latest')
+      if (!response.ok) throw new Error('Failed to fetch sensors')
+      const data = await response.json()
+      setSensors(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
 
   useEffect(() => {
-    async function fetchSensors() {
-      try {
-        const response = await fetch('/api/sensors/latest')
-        if (!response.ok) throw new Error('Failed to fetch sensors')
-        const data = await response.json()
-        setSensors(data)
-      } catch (err) {
-        setError(err.message)
-      } finally {
-        setLoading(false)
-      }
+    fetchSensors()
+  }, [fetchSensors])
+
+  // Merge pushed readings and status changes into the matching card;
+  // unknown sensors need a full refetch
+  const live = useServerEvents((type, data) => {
+    if (type === 'sensor_status') {
+      setSensors(prev => prev.map(s =>
+        s.sensor_id === data.sensor_id ? { ...s, ...data } : s
+      ))
+      return
+    }
+    if (type !== 'reading') return
+    if (!sensors.some(s => s.sensor_id === data.sensor_id)) {
+      fetchSensors()
+      return
     }
+    setSensors(prev => prev.map(s =>
+      s.sensor_id === data.sensor_id ? { ...s, ...data } : s
+    ))
+  })
 
+  // Fall back to polling while the event stream is down
+  useEffect(() => {
+    if (live) return
+    const interval = setInterval(fetchSensors, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [live, fetchSensors])
+
+  const handleSensorSaved = () => {
+    setEditingSensor(null)
     fetchSensors()
-  }, [])
+  }
 
   if (loading) {
     return (
@@ -132,26 +541,32 @@ function SensorCards() {
     )
   }
 
-  const moistureSensors = sensors.filter(s => s.sensor_type === 'moisture' || s.moisture_percent !== null)
-  const tempSensors = sensors.filter(s => s.sensor_type === 'temperature' || (s.temperature_f !== null && s.moisture_percent === null))
 
   return (
-    <div className="sensor-sections">
-      <div className="sensor-section">
-        <h3 className="sensor-section-title">Soil Moisture</h3>
-        <div className="sensor-section-grid">
-          {moistureSensors.map(sensor => (
-            <MoistureSensorCard key={sensor.sensor_id} sensor={sensor} />
-          ))}
-        </div>
-      </div>
-      <div className="sensor-section">
-        <h3 className="sensor-section-title">Soil Temperature</h3>
-        <div className="sensor-section-grid">
-          {tempSensors.map(sensor => (
-            <TemperatureSensorCard key={sensor.sensor_id} sensor={sensor} />
-          ))}
-        </div>
+    <div>
+      {editingSensor && (
+        <SensorEditor
+          key={editingSensor.sensor_id}
+          sensor={editingSensor}
+          onSaved={handleSensorSaved}
+          onCancel={() => setEditingSensor(null)}
+        />
+      )}
+      <div className="sensor-sections">
+        {SECTIONS.map(({ title, Card, matches, always }) => {
+          const sectionSensors = sensors.filter(matches)
+          if (!always && sectionSensors.length === 0) return null
+          return (
+            <div key={title} className="sensor-section">
+              <h3 className="sensor-section-title">{title}</h3>
+              <div className="sensor-section-grid">
+                {sectionSensors.map(sensor => (
+                  <Card key={sensor.sensor_id} sensor={sensor} onEdit={setEditingSensor} />
+                ))}
+              </div>
+            </div>
+          )
+        })}
       </div>
     </div>
   )
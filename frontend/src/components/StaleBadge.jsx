@@ -0,0 +1,19 @@
+function formatAge(minutes) {
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h ago`
+  return `${Math.round(minutes / (24 * 60))}d ago`
+}
+
+// Badge for weather data the server served from its cache because the
+// weather service couldn't be reached, e.g. "forecast from 3h ago"
+function StaleBadge({ data, label }) {
+  if (!data || !data.stale) return null
+
+  return (
+    <span className="stale-badge" title="Weather service unreachable, showing the last data fetched">
+      {label} from {formatAge(data.age_minutes)}
+    </span>
+  )
+}
+
+export default StaleBadge
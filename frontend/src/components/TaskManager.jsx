@@ -1,4 +1,8 @@
 import { useState, useEffect, useCallback } from 'react'
+import useServerEvents from '../hooks/useServerEvents'
+
+// How often to refetch when the live event stream is unavailable
+const POLL_INTERVAL_MS = 5 * 60 * 1000
 
 function formatDueDate(dateStr) {
   if (!dateStr) return ''
@@ -42,6 +46,18 @@ function TaskManager() {
     fetchTasks()
   }, [fetchTasks])
 
+  // Refetch when tasks change elsewhere (another browser, recurring task created)
+  const live = useServerEvents((type) => {
+    if (type === 'task') fetchTasks()
+  })
+
+  // Fall back to polling while the event stream is down
+  useEffect(() => {
+    if (live) return
+    const interval = setInterval(fetchTasks, POLL_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [live, fetchTasks])
+
   const handleAddTask = async (e) => {
     e.preventDefault()
     if (!newTaskTitle.trim()) return
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import StaleBadge from './StaleBadge'
 
 function WateringAdvice() {
   const [advice, setAdvice] = useState(null)
@@ -41,11 +42,11 @@ function WateringAdvice() {
 
   const { sensors, forecast_summary, overall_advice } = advice
 
-  // Determine banner type
+  // Determine banner type (no forecast when the weather service is unreachable)
   let bannerType = 'normal'
-  if (forecast_summary.total_expected_rain > 0.25 || forecast_summary.max_rain_probability > 50) {
+  if (forecast_summary?.total_expected_rain > 0.25 || forecast_summary?.max_rain_probability > 50) {
     bannerType = 'rain'
-  } else if (forecast_summary.max_temperature > 90) {
+  } else if (forecast_summary?.max_temperature > 90) {
     bannerType = 'hot'
   }
 
@@ -57,10 +58,13 @@ function WateringAdvice() {
 
       {forecast_summary && (
         <div style={{ fontSize: '0.75rem', color: 'var(--text-secondary)', marginBottom: '1rem' }}>
-          <strong>3-Day Forecast:</strong>{' '}
-          {forecast_summary.total_expected_rain.toFixed(2)}" rain expected
-          {forecast_summary.max_rain_probability > 0 && ` (${forecast_summary.max_rain_probability}% chance)`}
-          {' · '}High of {forecast_summary.max_temperature}°F
+          <StaleBadge data={forecast_summary} label="Forecast" />
+          <div>
+            <strong>3-Day Forecast:</strong>{' '}
+            {forecast_summary.total_expected_rain.toFixed(2)}" rain expected
+            {forecast_summary.max_rain_probability > 0 && ` (${forecast_summary.max_rain_probability}% chance)`}
+            {' · '}High of {forecast_summary.max_temperature}°F
+          </div>
         </div>
       )}
 
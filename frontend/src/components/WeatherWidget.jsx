@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react'
+import StaleBadge from './StaleBadge'
 
 function getWeatherIcon(code) {
   if (code === 0) return '☀️'
@@ -23,9 +24,32 @@ function formatDay(dateStr) {
   return date.toLocaleDateString('en-US', { weekday: 'short' })
 }
 
+// Highs are missing for today once the day is over in some providers' forecasts
+function formatTemp(value) {
+  return value === null ? '–' : `${Math.round(value)}°`
+}
+
+// Forecast times are the location's local time, e.g. "2026-10-18T14:00" -> "2pm";
+// midnight shows the weekday instead, so the strip reads across days
+function formatHour(time, index) {
+  if (index === 0) return 'Now'
+  const hour = Number(time.slice(11, 13))
+  if (hour === 0) {
+    return new Date(`${time.slice(0, 10)}T12:00`).toLocaleDateString('en-US', { weekday: 'short' })
+  }
+  return `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`
+}
+
+// Hours worth a second look when deciding whether to cover seedlings
+const FROST_RISK_F = 36
+const STRONG_GUST_MPH = 25
+
 function WeatherWidget() {
   const [current, setCurrent] = useState(null)
   const [forecast, setForecast] = useState([])
+  const [forecastInfo, setForecastInfo] = useState(null)
+  const [hourly, setHourly] = useState(null)
+  const [station, setStation] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
 
@@ -37,15 +61,31 @@ function WeatherWidget() {
           fetch('/api/weather/forecast')
         ])
 
-        if (!currentRes.ok || !forecastRes.ok) {
+        // The server falls back to cached data when offline, so these only fail
+        // when it has never fetched weather for this location; show whatever came back
+        if (!currentRes.ok && !forecastRes.ok) {
           throw new Error('Failed to fetch weather')
         }
 
-        const currentData = await currentRes.json()
-        const forecastData = await forecastRes.json()
+        if (currentRes.ok) {
+          setCurrent(await currentRes.json())
+        }
+        if (forecastRes.ok) {
+          const forecastData = await forecastRes.json()
+          setForecast(forecastData.forecast?.slice(0, 5) || [])
+          setForecastInfo(forecastData)
+        }
+
+        const hourlyRes = await fetch('/api/weather/hourly')
+        if (hourlyRes.ok) {
+          setHourly(await hourlyRes.json())
+        }
 
-        setCurrent(currentData)
-        setForecast(forecastData.forecast?.slice(0, 5) || [])
+        // Local observations are optional - not every gateway has an outdoor sensor
+        const stationRes = await fetch('/api/weather/station')
+        if (stationRes.ok) {
+          setStation(await stationRes.json())
+        }
       } catch (err) {
         setError(err.message)
       } finally {
@@ -73,6 +113,7 @@ function WeatherWidget() {
     <div>
       {current && (
         <>
+          <StaleBadge data={current} label="Conditions" />
           <div className="current-weather">
             <span className="weather-icon">
               {getWeatherIcon(current.weather_code)}
@@ -86,22 +127,75 @@ function WeatherWidget() {
           </div>
 
           <div className="weather-details">
-            <div>Feels like: {Math.round(current.feels_like)}°F</div>
-            <div>Humidity: {current.humidity}%</div>
-            <div>Wind: {Math.round(current.wind_speed)} mph</div>
-            <div>Precip: {current.precipitation}"</div>
+            {/* Not every weather provider reports feels-like or current precipitation */}
+            {current.feels_like !== null && <div>Feels like: {Math.round(current.feels_like)}°F</div>}
+            {current.humidity !== null && <div>Humidity: {current.humidity}%</div>}
+            {current.wind_speed !== null && <div>Wind: {Math.round(current.wind_speed)} mph</div>}
+            {current.precipitation !== null && <div>Precip: {current.precipitation}"</div>}
           </div>
         </>
       )}
 
+      {station && station.temperature_f !== null && (
+        <div style={{
+          marginTop: '0.75rem',
+          padding: '0.5rem',
+          background: 'var(--bg-card)',
+          borderRadius: '0.375rem',
+          fontSize: '0.75rem',
+          color: 'var(--text-secondary)'
+        }}>
+          <strong style={{ color: 'var(--text-primary)' }}>Garden station:</strong>{' '}
+          {Math.round(station.temperature_f)}°F
+          {station.humidity !== null && ` · ${station.humidity}%`}
+          {station.wind_speed_mph !== null && ` · ${Math.round(station.wind_speed_mph)} mph`}
+          {station.daily_rain_in > 0 && ` · ${station.daily_rain_in}" rain today`}
+          {station.uv !== null && ` · UV ${station.uv}`}
+          <div style={{ fontSize: '0.625rem', marginTop: '0.25rem' }}>
+            {new Date(station.timestamp).toLocaleTimeString()}
+          </div>
+        </div>
+      )}
+
+      {hourly?.hourly?.length > 0 && (
+        <div style={{ marginTop: '1rem' }}>
+          <StaleBadge data={hourly} label="Hourly forecast" />
+          <div className="hourly-strip">
+            {hourly.hourly.map((hour, i) => (
+              <div
+                key={hour.time}
+                className={`hourly-cell${i > 0 && hour.time.slice(11, 13) === '00' ? ' day-start' : ''}`}
+                title={hour.weather_description}
+              >
+                <div className="hourly-time">{formatHour(hour.time, i)}</div>
+                <div>{getWeatherIcon(hour.weather_code)}</div>
+                <div className={`hourly-temp${hour.temperature !== null && hour.temperature <= FROST_RISK_F ? ' frost' : ''}`}>
+                  {formatTemp(hour.temperature)}
+                </div>
+                <div className="hourly-rain">
+                  {hour.precipitation_probability !== null ? `${hour.precipitation_probability}%` : '–'}
+                </div>
+                {hour.wind_gust !== null && (
+                  <div className={hour.wind_gust >= STRONG_GUST_MPH ? 'hourly-gust strong' : 'hourly-gust'}>
+                    G{Math.round(hour.wind_gust)}
+                  </div>
+                )}
+                {hour.humidity !== null && <div>{hour.humidity}%rh</div>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div style={{ marginTop: '1rem' }}>
+        <StaleBadge data={forecastInfo} label="Forecast" />
         {forecast.map(day => (
           <div key={day.date} className="forecast-row">
             <span className="forecast-day">{formatDay(day.date)}</span>
             <span>{getWeatherIcon(day.weather_code)}</span>
             <span className="forecast-temps">
-              <span>{Math.round(day.temp_high)}°</span>
-              <span style={{ marginLeft: '0.25rem' }}>{Math.round(day.temp_low)}°</span>
+              <span>{formatTemp(day.temp_high)}</span>
+              <span style={{ marginLeft: '0.25rem' }}>{formatTemp(day.temp_low)}</span>
             </span>
             {day.precipitation_probability > 0 && (
               <span style={{ fontSize: '0.75rem', color: 'var(--accent-cyan)' }}>
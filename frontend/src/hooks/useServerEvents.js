@@ -0,0 +1,72 @@
+import { useState, useEffect, useRef } from 'react'
+
+// Event types pushed by /api/events
+const EVENT_TYPES = ['reading', 'station', 'alert', 'task', 'sensor_status', 'mqtt_status']
+
+// One EventSource is shared by every component on the page so we only
+// hold a single connection open to the Pi
+let source = null
+let connected = false
+const listeners = new Set()
+const statusListeners = new Set()
+
+function setConnected(value) {
+  connected = value
+  statusListeners.forEach(listener => listener(value))
+}
+
+function openSource() {
+  if (source || typeof EventSource === 'undefined') return
+
+  source = new EventSource('/api/events')
+  source.onopen = () => setConnected(true)
+  // The browser reconnects on its own; callers fall back to polling meanwhile
+  source.onerror = () => setConnected(false)
+
+  EVENT_TYPES.forEach(type => {
+    source.addEventListener(type, (e) => {
+      const data = JSON.parse(e.data)
+      listeners.forEach(listener => listener(type, data))
+    })
+  })
+}
+
+function closeSourceIfUnused() {
+  if (source && listeners.size === 0) {
+    source.close()
+    source = null
+    setConnected(false)
+  }
+}
+
+// Subscribe to live server events. onEvent(type, data) is called for each
+// event; the return value says whether the stream is currently connected.
+function useServerEvents(onEvent) {
+  const [isConnected, setIsConnected] = useState(connected)
+  const handlerRef = useRef(onEvent)
+
+  useEffect(() => {
+    handlerRef.current = onEvent
+  })
+
+  useEffect(() => {
+    const listener = (type, data) => {
+      if (handlerRef.current) handlerRef.current(type, data)
+    }
+
+    listeners.add(listener)
+    statusListeners.add(setIsConnected)
+    openSource()
+    setIsConnected(connected)
+
+    return () => {
+      listeners.delete(listener)
+      statusListeners.delete(setIsConnected)
+      closeSourceIfUnused()
+    }
+  }, [])
+
+  return isConnected
+}
+
+export default useServerEvents